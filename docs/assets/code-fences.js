@@ -0,0 +1,438 @@
+(function () {
+  const css = `
+    .markdown-section pre > .code-title {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+      margin: 0 -1.4rem;
+      padding: 0.5rem 4rem 0.5rem 1.4rem;
+      border-bottom: 1px solid rgba(128, 128, 128, 0.25);
+      font-size: 0.75rem;
+      line-height: 1.25rem;
+      opacity: 0.85;
+    }
+
+    .markdown-section pre[data-title] > code {
+      padding-top: 1em;
+    }
+
+    .markdown-section pre .code-line {
+      display: inline-block;
+      min-width: 100%;
+      margin: 0 -5px;
+      padding: 0 5px;
+      box-sizing: content-box;
+    }
+
+    /* Empty lines still take up a line */
+    .markdown-section pre .code-line:empty::before {
+      content: "\\200b";
+    }
+
+    .markdown-section pre .code-line.highlighted {
+      background: rgba(132, 186, 100, 0.15);
+      box-shadow: inset 3px 0 0 var(--theme-color, #84ba64);
+    }
+
+    .markdown-section pre .code-line.diff-add {
+      background: rgba(63, 185, 80, 0.15);
+      box-shadow: inset 3px 0 0 rgba(63, 185, 80, 0.8);
+    }
+
+    .markdown-section pre .code-line.diff-remove {
+      background: rgba(248, 81, 73, 0.15);
+      box-shadow: inset 3px 0 0 rgba(248, 81, 73, 0.8);
+      opacity: 0.7;
+    }
+
+    /* Focused blocks blur everything else until the reader hovers them */
+    .markdown-section pre.has-focus .code-line:not(.focused) {
+      filter: blur(0.75px);
+      opacity: 0.5;
+      transition: filter 0.2s ease, opacity 0.2s ease;
+    }
+
+    .markdown-section pre.has-focus:hover .code-line:not(.focused) {
+      filter: none;
+      opacity: 1;
+    }
+  `;
+
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  // Fence info strings may carry flags after the language for the build
+  // scripts, e.g. ```ts no-check. Docsify uses the whole info string as the
+  // language, so the flags are removed before the markdown is rendered.
+  const FLAGS = ["no-check"];
+
+  const fencePattern = /^(\s*)(`{3,}|~{3,})(.*)$/;
+
+  // Fence meta: ```ts {3,7-9} title="server.ts"
+  const linesMetaPattern = /\{([\d,\s-]+)\}/;
+  const titleMetaPattern = /\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+
+  // Inline annotations at the end of a line: // [!code focus]. The pattern
+  // is shared with the markdown export, which removes them, and the file
+  // marker rules with the JavaScript examples build.
+  const { annotationPattern, findFileMarker } = window.FrameworkMarkers;
+  const ANNOTATION_CLASSES = {
+    highlight: "highlighted",
+    hl: "highlighted",
+    focus: "focused",
+    "++": "diff-add",
+    "--": "diff-remove",
+  };
+
+  // How each language writes a line comment, for the annotations and file
+  // markers that fence meta is turned into
+  const COMMENTS = {
+    html: ["<!--", "-->"],
+    markup: ["<!--", "-->"],
+    xml: ["<!--", "-->"],
+    vue: ["<!--", "-->"],
+    svelte: ["<!--", "-->"],
+    css: ["/*", "*/"],
+    scss: ["/*", "*/"],
+    bash: ["#", ""],
+    sh: ["#", ""],
+    shell: ["#", ""],
+    yaml: ["#", ""],
+    yml: ["#", ""],
+    ini: ["#", ""],
+  };
+
+  function comment(language, text) {
+    const [open, close] = COMMENTS[language] || ["//", ""];
+    return close ? `${open} ${text} ${close}` : `${open} ${text}`;
+  }
+
+  // "3,7-9" -> Set { 3, 7, 8, 9 }
+  function parseLineRanges(ranges) {
+    const lines = new Set();
+    ranges.split(",").forEach((range) => {
+      const [start, end = start] = range.trim().split("-").map(Number);
+      for (let line = start; line <= end; line++) lines.add(line);
+    });
+    return lines;
+  }
+
+  // Splits an info string into the language docsify should see and the meta
+  // the rendered block needs
+  function parseInfo(info) {
+    const linesMatch = info.match(linesMetaPattern);
+    const titleMatch = info.match(titleMetaPattern);
+    const rest = info
+      .replace(linesMetaPattern, " ")
+      .replace(titleMetaPattern, " ")
+      .split(/\s+/)
+      .filter((word) => word && !FLAGS.includes(word));
+
+    return {
+      info: rest.join(" "),
+      language: (rest[0] || "").toLowerCase(),
+      lines: linesMatch ? parseLineRanges(linesMatch[1]) : null,
+      title: titleMatch
+        ? titleMatch[1] || titleMatch[2] || titleMatch[3]
+        : null,
+    };
+  }
+
+  // Created on first use, from the switcher's configuration
+  let markers = null;
+
+  function getMarkers() {
+    if (!markers) {
+      const switcherConfig = window.$docsify.frameworkSwitcher || {};
+      markers = window.FrameworkMarkers.createMarkers(switcherConfig);
+    }
+    return markers;
+  }
+
+  // Indexes of the lines that never show: the framework marker, which the
+  // switcher strips, and a file marker, which becomes the title
+  function getHiddenLines(content) {
+    const hidden = new Set();
+    const marker = getMarkers().findMarker(content);
+    if (marker) hidden.add(marker.index);
+
+    const fileMarker = findFileMarker(content, marker ? marker.index : -1);
+    if (fileMarker) hidden.add(fileMarker.index);
+    return hidden;
+  }
+
+  // Rewrites fence meta into the block itself, where it survives rendering:
+  // highlighted lines get a [!code highlight] annotation and a title becomes
+  // a file marker on the first line. Line ranges count the lines as shown,
+  // without the marker lines.
+  function applyMeta(meta, indent, content) {
+    const hidden = meta.lines ? getHiddenLines(content) : new Set();
+    let shown = 0;
+    const lines = content.map((line, i) => {
+      if (hidden.has(i)) return line;
+      shown++;
+      return meta.lines && meta.lines.has(shown)
+        ? `${line} ${comment(meta.language, "[!code highlight]")}`
+        : line;
+    });
+
+    if (meta.title) {
+      lines.unshift(indent + comment(meta.language, `file: ${meta.title}`));
+    }
+    return lines;
+  }
+
+  function processFences(markdown) {
+    const output = [];
+    let open = null;
+
+    markdown.split("\n").forEach((line) => {
+      const match = line.match(fencePattern);
+
+      if (!open) {
+        if (!match) {
+          output.push(line);
+          return;
+        }
+
+        const [, indent, fence, info] = match;
+        const meta = parseInfo(info.trim());
+        output.push(indent + fence + meta.info);
+        open = { fence, indent, meta, content: [] };
+        return;
+      }
+
+      // Closing fence: same character, at least as long, no info string
+      if (
+        match &&
+        !match[3].trim() &&
+        match[2][0] === open.fence[0] &&
+        match[2].length >= open.fence.length
+      ) {
+        output.push(...applyMeta(open.meta, open.indent, open.content), line);
+        open = null;
+        return;
+      }
+
+      open.content.push(line);
+    });
+
+    // An unclosed fence runs to the end of the page
+    if (open) {
+      output.push(...applyMeta(open.meta, open.indent, open.content));
+    }
+
+    return output.join("\n");
+  }
+
+  // Splits highlighted code into lines, re-wrapping each text fragment in
+  // clones of its token spans so every line keeps its highlighting
+  function splitLines(codeElement) {
+    const lines = [document.createElement("span")];
+
+    const wrap = (textNode, ancestors) =>
+      ancestors.reduceRight((child, ancestor) => {
+        const clone = ancestor.cloneNode(false);
+        clone.appendChild(child);
+        return clone;
+      }, textNode);
+
+    const walk = (node, ancestors) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.data.split("\n").forEach((part, i) => {
+          if (i > 0) lines.push(document.createElement("span"));
+          if (part) {
+            lines[lines.length - 1].appendChild(
+              wrap(document.createTextNode(part), ancestors)
+            );
+          }
+        });
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        node.childNodes.forEach((child) => walk(child, ancestors.concat(node)));
+      }
+    };
+
+    codeElement.childNodes.forEach((child) => walk(child, []));
+    return lines;
+  }
+
+  // Removes the last `length` characters of a line, dropping token spans
+  // left without any text
+  function trimLineEnd(line, length) {
+    const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (let i = nodes.length - 1; i >= 0 && length > 0; i--) {
+      const node = nodes[i];
+      const removed = Math.min(length, node.data.length);
+      node.data = node.data.slice(0, node.data.length - removed);
+      length -= removed;
+
+      let empty = node;
+      while (empty !== line && !empty.textContent) {
+        const parent = empty.parentNode;
+        empty.remove();
+        empty = parent;
+      }
+    }
+  }
+
+  // Replaces the code with one span per line, removing annotations and the
+  // file marker. Returns the title and whether any line was decorated.
+  function decorateCode(codeElement) {
+    const lines = splitLines(codeElement);
+    let title = null;
+    let decorated = false;
+
+    // The file marker sits among the first comment lines, next to the
+    // framework marker the switcher strips later
+    const texts = lines.map((line) => line.textContent);
+    const marker = getMarkers().findMarker(texts);
+    const fileMarker = findFileMarker(texts, marker ? marker.index : -1);
+    if (fileMarker) {
+      title = fileMarker.title;
+      lines.splice(fileMarker.index, 1);
+    }
+
+    lines.forEach((line) => {
+      line.className = "code-line";
+      let match;
+      while ((match = line.textContent.match(annotationPattern))) {
+        line.classList.add(ANNOTATION_CLASSES[match[1]]);
+        trimLineEnd(line, match[0].length);
+        decorated = true;
+      }
+    });
+
+    if (!title && !decorated) return null;
+
+    codeElement.textContent = "";
+    lines.forEach((line, i) => {
+      if (i > 0) codeElement.appendChild(document.createTextNode("\n"));
+      codeElement.appendChild(line);
+    });
+
+    return { title, decorated };
+  }
+
+  function createTitleBar(title) {
+    const bar = document.createElement("div");
+    bar.className = "code-title";
+    const name = document.createElement("span");
+    name.className = "code-title-name";
+    name.textContent = title;
+    bar.appendChild(name);
+    return bar;
+  }
+
+  function decorateBlock(codeElement) {
+    const result = decorateCode(codeElement);
+    if (!result) return;
+
+    const pre = codeElement.parentElement;
+    pre.classList.toggle(
+      "has-focus",
+      Boolean(codeElement.querySelector(".code-line.focused"))
+    );
+
+    if (result.title) {
+      pre.dataset.title = result.title;
+      pre.insertBefore(createTitleBar(result.title), codeElement);
+    }
+  }
+
+  // Docsify afterEach hook: decorates the rendered blocks before other
+  // plugins group them or strip their markers
+  function decorateHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    template.content.querySelectorAll("pre > code").forEach(decorateBlock);
+    return template.innerHTML;
+  }
+
+  // Decorated lines of each block, by text, so they can be put back when a
+  // block is rendered again (e.g. as JavaScript by the code flavor toggle)
+  const decorations = new WeakMap();
+
+  function rememberDecorations() {
+    document
+      .querySelectorAll(".markdown-section pre > code")
+      .forEach((codeElement) => {
+        const lines = Array.from(
+          codeElement.querySelectorAll(":scope > .code-line")
+        ).filter((line) => line.classList.length > 1);
+        if (!lines.length) return;
+
+        decorations.set(
+          codeElement,
+          lines.map((line) => ({
+            text: line.textContent.trim(),
+            classes: Array.from(line.classList),
+          }))
+        );
+      });
+  }
+
+  // Matches remembered lines to the new content in order; lines whose text
+  // changed (e.g. lost their types) are not decorated
+  function restoreDecorations(codeElement) {
+    const remembered = decorations.get(codeElement);
+    if (!remembered || codeElement.querySelector(":scope > .code-line")) return;
+
+    const lines = splitLines(codeElement);
+    let next = 0;
+    lines.forEach((line) => {
+      line.className = "code-line";
+      const entry = remembered[next];
+      if (entry && line.textContent.trim() === entry.text) {
+        line.className = entry.classes.join(" ");
+        next++;
+      }
+    });
+
+    codeElement.textContent = "";
+    lines.forEach((line, i) => {
+      if (i > 0) codeElement.appendChild(document.createTextNode("\n"));
+      codeElement.appendChild(line);
+    });
+  }
+
+  function observeContent() {
+    const section = document.querySelector(".markdown-section");
+    if (!section || !window.MutationObserver) return;
+
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        if (mutation.target.matches && mutation.target.matches("pre > code")) {
+          restoreDecorations(mutation.target);
+        }
+      });
+    });
+
+    observer.observe(section, { childList: true, subtree: true });
+  }
+
+  // Docsify plugin
+  function codeFencesPlugin(hook) {
+    hook.beforeEach((content) => processFences(content));
+
+    hook.afterEach((html, next) => {
+      next(decorateHtml(html));
+    });
+
+    hook.mounted(() => {
+      observeContent();
+    });
+
+    hook.doneEach(() => {
+      rememberDecorations();
+    });
+  }
+
+  window.$docsify = window.$docsify || {};
+  window.$docsify.plugins = (window.$docsify.plugins || []).concat(
+    codeFencesPlugin
+  );
+})();
@@ -0,0 +1,326 @@
+(function () {
+  const css = `
+    .markdown-section pre[data-flavor] {
+      position: relative;
+    }
+
+    .code-flavor {
+      position: absolute;
+      top: 0.375rem;
+      left: 0.75rem;
+      display: flex;
+      background: var(--controlBackground, #4a5074);
+      border-radius: 0.375rem;
+      padding: 0.125rem;
+      z-index: 1;
+    }
+
+    .code-title .code-flavor {
+      position: static;
+      margin-left: auto;
+    }
+
+    .code-flavor button {
+      border: none;
+      background: transparent;
+      color: var(--controlText, rgba(255, 255, 255, 0.7));
+      padding: 0.125rem 0.5rem;
+      border-radius: 0.25rem;
+      cursor: pointer;
+      font-size: 0.75rem;
+      line-height: 1.25rem;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif;
+    }
+
+    .code-flavor button:hover {
+      color: var(--controlHoverText, rgba(255, 255, 255, 0.9));
+    }
+
+    .code-flavor button[aria-pressed="true"] {
+      background: var(--controlActiveBackground, #3a3f5c);
+      color: var(--controlActiveText, white);
+    }
+
+    .code-flavor button:disabled {
+      cursor: not-allowed;
+      opacity: 0.5;
+    }
+
+    .code-flavor button:focus-visible {
+      outline: 2px solid var(--theme-color, #84ba64);
+      outline-offset: -2px;
+    }
+  `;
+
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  const userConfig = (window.$docsify && window.$docsify.codeFlavor) || {};
+
+  const CONFIG = {
+    storageKey: userConfig.storageKey || "docsify-code-flavor",
+    defaultFlavor: userConfig.defaultFlavor || "ts",
+    // Written by `npm run build:js-examples`; only fetched once someone
+    // picks JavaScript
+    examplesUrl: userConfig.examplesUrl || "/docs/assets/js-examples.json",
+  };
+
+  const FLAVORS = {
+    ts: { label: "TS", title: "TypeScript" },
+    js: { label: "JS", title: "JavaScript" },
+  };
+
+  // TypeScript languages and the JavaScript language each one becomes
+  const LANGUAGES = {
+    ts: "js",
+    typescript: "js",
+    tsx: "jsx",
+  };
+
+  function readStoredFlavor() {
+    const stored = localStorage.getItem(CONFIG.storageKey);
+    return FLAVORS[stored] ? stored : CONFIG.defaultFlavor;
+  }
+
+  let flavor = readStoredFlavor();
+
+  // TypeScript and JavaScript renderings of each code block. The JavaScript
+  // one is null when the example cannot be written without types.
+  const variants = new WeakMap();
+
+  let examplesPromise = null;
+
+  // JavaScript versions of the examples, keyed by their TypeScript code.
+  // A failed request is tried again on the next page.
+  function loadExamples() {
+    if (!examplesPromise) {
+      examplesPromise = fetch(CONFIG.examplesUrl)
+        .then((response) => {
+          if (!response.ok) throw new Error(response.statusText);
+          return response.json();
+        })
+        .catch((error) => {
+          examplesPromise = null;
+          throw error;
+        });
+    }
+    return examplesPromise;
+  }
+
+  function getLanguage(codeElement) {
+    const match = codeElement.className.match(/\blang-(\S+)/);
+    return match ? match[1] : "";
+  }
+
+  function highlight(text, language) {
+    const grammar =
+      window.Prism.languages[language] || window.Prism.languages.javascript;
+    return window.Prism.highlight(text, grammar, language);
+  }
+
+  // Examples missing from the file, e.g. added since it was built, only
+  // have their TypeScript version
+  function getJavaScriptVariant(entry, examples) {
+    if (entry.js === undefined) {
+      const language = LANGUAGES[entry.ts.language];
+      const text = examples[entry.source];
+      entry.js =
+        typeof text === "string"
+          ? { html: highlight(text, language), language }
+          : null;
+    }
+    return entry.js;
+  }
+
+  function getJavaScriptTitle(entry, unavailable) {
+    if (unavailable) return "JavaScript examples could not be loaded";
+    if (entry.js === null)
+      return "This example is only available in TypeScript";
+    return FLAVORS.js.title;
+  }
+
+  // Shows the selected flavor in a block, if it has one. Without `examples`
+  // while JavaScript is selected, the examples could not be loaded.
+  function renderBlock(codeElement, examples) {
+    const entry = variants.get(codeElement);
+    const unavailable = flavor === "js" && !examples;
+    const js =
+      flavor === "js" && examples
+        ? getJavaScriptVariant(entry, examples)
+        : null;
+    const shown = js ? "js" : "ts";
+    const variant = js || entry.ts;
+    const pre = codeElement.parentElement;
+
+    if (pre.dataset.flavor !== shown) {
+      codeElement.innerHTML = variant.html;
+      codeElement.className = codeElement.className.replace(
+        /\blang-\S+/,
+        `lang-${variant.language}`
+      );
+      pre.dataset.lang = variant.language;
+      pre.dataset.flavor = shown;
+    }
+
+    pre.querySelectorAll(".code-flavor button").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.flavor === shown)
+      );
+      if (button.dataset.flavor === "js") {
+        button.disabled = unavailable || entry.js === null;
+        button.title = getJavaScriptTitle(entry, unavailable);
+      }
+    });
+  }
+
+  function getBlocks() {
+    return Array.from(
+      document.querySelectorAll(".markdown-section pre[data-flavor] > code")
+    ).filter((codeElement) => variants.has(codeElement));
+  }
+
+  // Keeps `anchor` in place while blocks above it change length
+  function keepInView(anchor, update) {
+    const before = anchor ? anchor.getBoundingClientRect().top : null;
+    update();
+    if (before === null || !anchor.isConnected) return;
+
+    const delta = anchor.getBoundingClientRect().top - before;
+    if (delta) {
+      window.scrollBy({ top: delta, behavior: "instant" });
+    }
+  }
+
+  function renderAll({ anchor = null } = {}) {
+    const blocks = getBlocks();
+    if (!blocks.length) return Promise.resolve();
+
+    const render = (examples) =>
+      keepInView(anchor, () => {
+        blocks.forEach((codeElement) => renderBlock(codeElement, examples));
+      });
+
+    if (flavor !== "js") {
+      render(null);
+      return Promise.resolve();
+    }
+
+    // Without the examples the blocks stay TypeScript and the toggle says why
+    return loadExamples().then(render, () => render(null));
+  }
+
+  function setFlavor(value, { persist = true, anchor = null } = {}) {
+    if (!FLAVORS[value] || value === flavor) return false;
+
+    const previous = flavor;
+    flavor = value;
+    if (persist) {
+      localStorage.setItem(CONFIG.storageKey, value);
+    }
+
+    renderAll({ anchor });
+
+    document.dispatchEvent(
+      new CustomEvent("flavor:change", {
+        detail: { flavor: value, previous },
+      })
+    );
+    return true;
+  }
+
+  function createToggle() {
+    const toggle = document.createElement("div");
+    toggle.className = "code-flavor";
+    toggle.setAttribute("role", "group");
+    toggle.setAttribute("aria-label", "Code language");
+
+    Object.keys(FLAVORS).forEach((name) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.flavor = name;
+      button.textContent = FLAVORS[name].label;
+      button.title = FLAVORS[name].title;
+      button.setAttribute("aria-pressed", String(name === "ts"));
+      button.addEventListener("click", () => {
+        setFlavor(name, { anchor: toggle });
+      });
+      toggle.appendChild(button);
+    });
+
+    return toggle;
+  }
+
+  // Adds a toggle to every TypeScript block, remembering what docsify
+  // rendered so switching back never has to highlight again
+  function prepareBlocks() {
+    document
+      .querySelectorAll(".markdown-section pre > code")
+      .forEach((codeElement) => {
+        const language = getLanguage(codeElement);
+        const pre = codeElement.parentElement;
+        if (!LANGUAGES[language] || variants.has(codeElement)) return;
+        if (pre.closest(".fw-compare")) return;
+
+        variants.set(codeElement, {
+          source: codeElement.textContent,
+          ts: { html: codeElement.innerHTML, language },
+          js: undefined,
+        });
+        pre.dataset.flavor = "ts";
+
+        // Blocks with a file name header carry the toggle in the header
+        const titleBar = pre.querySelector(":scope > .code-title");
+        if (titleBar) {
+          titleBar.appendChild(createToggle());
+        } else {
+          pre.insertBefore(createToggle(), codeElement);
+        }
+      });
+  }
+
+  function handleStorageChange(e) {
+    if (e.key !== CONFIG.storageKey || !FLAVORS[e.newValue]) return;
+    setFlavor(e.newValue, { persist: false });
+  }
+
+  // Docsify plugin
+  function codeFlavorPlugin(hook) {
+    hook.init(() => {
+      // Start fetching the examples while the first page loads
+      if (flavor === "js") {
+        loadExamples().catch(() => {});
+      }
+    });
+
+    hook.doneEach(() => {
+      prepareBlocks();
+      renderAll();
+    });
+  }
+
+  window.addEventListener("storage", handleStorageChange);
+
+  window.CodeFlavor = {
+    get() {
+      return flavor;
+    },
+
+    set(value) {
+      return setFlavor(value);
+    },
+
+    // Calls back with the flavor:change event detail; returns an unsubscribe function
+    subscribe(callback) {
+      const listener = (e) => callback(e.detail);
+      document.addEventListener("flavor:change", listener);
+      return () => document.removeEventListener("flavor:change", listener);
+    },
+  };
+
+  window.$docsify = window.$docsify || {};
+  window.$docsify.plugins = (window.$docsify.plugins || []).concat(
+    codeFlavorPlugin
+  );
+})();
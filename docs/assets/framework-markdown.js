@@ -0,0 +1,349 @@
+// Reads framework blocks and groups straight from markdown source, using the
+// same rules the framework switcher applies to the rendered page. Shared by
+// the documentation scripts (in Node) and the browser.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./framework-markers"));
+  } else {
+    root.FrameworkMarkdown = factory(root.FrameworkMarkers);
+  }
+})(typeof self !== "undefined" ? self : this, function (FrameworkMarkers) {
+  const fencePattern = /^(\s*)(`{3,}|~{3,})(.*)$/;
+  const commentStartPattern = /^\s*<!--/;
+
+  // Inline annotations for the site's code fences plugin: // [!code focus]
+  const { annotationPattern } = FrameworkMarkers;
+
+  // Link and image targets: [text](target "title"), [id]: target
+  const linkPattern = /(!?\[[^\]]*\]\()(<[^>]*>|[^)\s]+)/g;
+  const referencePattern = /^(\s*\[[^\]]+\]:\s*)(\S+)/;
+
+  // Strips simple inline formatting so "**Vue:**" reads as a "Vue:" label
+  function plainText(text) {
+    return text.replace(/[*_`]/g, "").trim();
+  }
+
+  // Splits markdown into top-level blocks with 1-based line numbers:
+  //   { type: "code", lang, info, indent, content, line, endLine }
+  //   { type: "comment", text, line, endLine }
+  //   { type: "paragraph", text, line, endLine }
+  //   { type: "blank", line, endLine }
+  function parseBlocks(markdown) {
+    const lines = markdown.split(/\r?\n/);
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(fencePattern);
+
+      if (fence) {
+        const indent = fence[1].length;
+        const marker = fence[2];
+        const info = fence[3].trim();
+        const content = [];
+        let j = i + 1;
+
+        while (j < lines.length) {
+          const close = lines[j].match(/^\s*(`{3,}|~{3,})\s*$/);
+          if (
+            close &&
+            close[1][0] === marker[0] &&
+            close[1].length >= marker.length
+          ) {
+            break;
+          }
+          // Remove the fence's indentation from its content
+          content.push(lines[j].replace(new RegExp(`^ {0,${indent}}`), ""));
+          j++;
+        }
+
+        blocks.push({
+          type: "code",
+          // The language may run straight into fence meta: ts{3,7-9}
+          lang: info.split(/[\s{]/)[0] || "",
+          info,
+          indent,
+          content: content.join("\n"),
+          line: i + 1,
+          endLine: Math.min(j, lines.length - 1) + 1,
+        });
+        i = j + 1;
+        continue;
+      }
+
+      if (!line.trim()) {
+        blocks.push({ type: "blank", line: i + 1, endLine: i + 1 });
+        i++;
+        continue;
+      }
+
+      if (commentStartPattern.test(line)) {
+        let j = i;
+        while (j < lines.length - 1 && !lines[j].includes("-->")) j++;
+        const text = lines
+          .slice(i, j + 1)
+          .join("\n")
+          .replace(/^\s*<!--/, "")
+          .replace(/-->\s*$/, "");
+        blocks.push({ type: "comment", text, line: i + 1, endLine: j + 1 });
+        i = j + 1;
+        continue;
+      }
+
+      // Anything else runs until the next blank line, fence or comment
+      let j = i + 1;
+      while (
+        j < lines.length &&
+        lines[j].trim() &&
+        !fencePattern.test(lines[j]) &&
+        !commentStartPattern.test(lines[j])
+      ) {
+        j++;
+      }
+      blocks.push({
+        type: "paragraph",
+        text: lines.slice(i, j).join("\n"),
+        line: i + 1,
+        endLine: j,
+      });
+      i = j;
+    }
+
+    return blocks;
+  }
+
+  // Rewrites link targets on a line of prose, leaving code spans alone
+  function rewriteLinks(line, resolveLink) {
+    return line
+      .split(/(`+[^`]*`+)/)
+      .map((part, i) => {
+        if (i % 2) return part;
+        return part
+          .replace(
+            referencePattern,
+            (m, prefix, href) => prefix + resolveLink(href)
+          )
+          .replace(
+            linkPattern,
+            (m, prefix, href) => prefix + resolveLink(href)
+          );
+      })
+      .join("");
+  }
+
+  function createMarkdownTools(markers) {
+    function isLabel(block) {
+      return (
+        block.type === "paragraph" &&
+        !/^\s*[#>|-]/.test(block.text) &&
+        Boolean(markers.detectLabel(plainText(block.text)))
+      );
+    }
+
+    // Like previousElementSibling, look past blank lines and comments
+    function findPreviousBlock(blocks, index) {
+      for (let i = index - 1; i >= 0; i--) {
+        if (blocks[i].type !== "blank" && blocks[i].type !== "comment") {
+          return blocks[i];
+        }
+      }
+      return null;
+    }
+
+    // Framework of a code block: a marker in its first lines, or a label
+    // paragraph right before it. Returns { framework, markerLine } where
+    // markerLine is the index of the marker within the content, or null.
+    function detectBlockFramework(blocks, index) {
+      const block = blocks[index];
+      const marker = markers.findMarker(block.content.split("\n"));
+      if (marker) {
+        return { framework: marker.framework, markerLine: marker.index };
+      }
+
+      const previous = findPreviousBlock(blocks, index);
+      if (previous && isLabel(previous)) {
+        return {
+          framework: markers.detectLabel(plainText(previous.text)),
+          markerLine: null,
+        };
+      }
+
+      return null;
+    }
+
+    // Mirrors isAdjacentBlock: only blank lines, label paragraphs and plain
+    // comments may sit between two blocks of a group. Prose markers start a
+    // new container, so they break a group.
+    function isAdjacent(blocks, fromIndex, toIndex) {
+      if (blocks[fromIndex].indent !== blocks[toIndex].indent) return false;
+
+      for (let i = fromIndex + 1; i < toIndex; i++) {
+        const block = blocks[i];
+        if (block.type === "blank" || isLabel(block)) continue;
+        if (block.type === "comment" && !markers.parseProseMarker(block.text)) {
+          continue;
+        }
+        return false;
+      }
+
+      return true;
+    }
+
+    // Groups adjacent framework blocks of the same axis, like processPage.
+    // Single blocks are returned as groups of one.
+    // Returns [{ axis, line, blocks: [{ block, index, framework, markerLine }] }]
+    function findGroups(blocks) {
+      const groups = [];
+      let current = null;
+
+      blocks.forEach((block, index) => {
+        if (block.type !== "code") return;
+
+        const detected = detectBlockFramework(blocks, index);
+        if (!detected) {
+          current = null;
+          return;
+        }
+
+        const entry = Object.assign({ block, index }, detected);
+        const axis = markers.frameworkAxis[detected.framework];
+        const last = current && current.blocks[current.blocks.length - 1];
+
+        if (
+          current &&
+          current.axis === axis &&
+          isAdjacent(blocks, last.index, index)
+        ) {
+          current.blocks.push(entry);
+        } else {
+          current = { axis, line: block.line, blocks: [entry] };
+          groups.push(current);
+        }
+      });
+
+      return groups;
+    }
+
+    function getSelected(selection, axisName) {
+      if (selection[axisName]) return selection[axisName];
+      const axis = markers.axes.find((a) => a.name === axisName);
+      return axis ? axis.defaultFramework : "";
+    }
+
+    // The page as it reads with one framework selected per axis: the other
+    // variants of each group, prose for other frameworks, comments,
+    // framework markers and labels, and code fence meta and annotations are
+    // left out.
+    // `selection` maps axis names to frameworks, defaulting to each axis'
+    // default. `resolveLink`, if given, rewrites link and image targets.
+    function filterMarkdown(markdown, selection = {}, { resolveLink } = {}) {
+      const lines = markdown.split(/\r?\n/);
+      const blocks = parseBlocks(markdown);
+
+      // 1-based line numbers to leave out
+      const removed = new Set();
+      const remove = (from, to = from) => {
+        for (let line = from; line <= to; line++) removed.add(line);
+      };
+
+      // Comments never show on the site. Prose markers among them are
+      // paired like processProse pairs them.
+      const opened = [];
+      blocks.forEach((block, index) => {
+        if (block.type !== "comment") return;
+        remove(block.line, block.endLine);
+
+        const marker = markers.parseProseMarker(block.text);
+        if (!marker) return;
+
+        if (marker.type === "open") {
+          opened.push({ index, frameworks: marker.frameworks });
+          return;
+        }
+        const open = opened.pop();
+        if (!open) return;
+
+        const axis = markers.frameworkAxis[open.frameworks[0]];
+        if (!markers.appliesTo(open.frameworks, getSelected(selection, axis))) {
+          remove(blocks[open.index].line, block.endLine);
+        }
+      });
+
+      // Framework groups keep the variant the switcher would show
+      findGroups(blocks).forEach((group) => {
+        const available = markers.frameworks.filter((fw) =>
+          group.blocks.some((entry) => entry.framework === fw)
+        );
+        const shown =
+          group.blocks.length > 1
+            ? markers.resolve(getSelected(selection, group.axis), available)
+            : group.blocks[0].framework;
+
+        group.blocks.forEach((entry) => {
+          const label =
+            entry.markerLine === null
+              ? findPreviousBlock(blocks, entry.index)
+              : null;
+
+          if (entry.framework !== shown) {
+            remove(entry.block.line, entry.block.endLine);
+            if (label) remove(label.line, label.endLine);
+          } else if (entry.markerLine !== null) {
+            remove(entry.block.line + 1 + entry.markerLine);
+          } else if (group.blocks.length > 1) {
+            remove(label.line, label.endLine);
+          }
+        });
+      });
+
+      // Lines of code blocks, by line number
+      const codeBlocks = {};
+      blocks.forEach((block) => {
+        if (block.type !== "code") return;
+        for (let line = block.line; line <= block.endLine; line++) {
+          codeBlocks[line] = block;
+        }
+      });
+
+      const output = [];
+      lines.forEach((text, i) => {
+        const line = i + 1;
+        if (removed.has(line)) return;
+
+        const block = codeBlocks[line];
+        if (!block) {
+          // One blank line between blocks is enough
+          const previous = output[output.length - 1];
+          if (!text.trim() && (!previous || !previous.text.trim())) return;
+
+          output.push({
+            text: resolveLink ? rewriteLinks(text, resolveLink) : text,
+          });
+        } else if (line === block.line) {
+          output.push({
+            text: text.replace(/^(\s*(?:`{3,}|~{3,})).*$/, `$1${block.lang}`),
+          });
+        } else {
+          output.push({ text: text.replace(annotationPattern, "") });
+        }
+      });
+
+      while (output.length && !output[output.length - 1].text.trim()) {
+        output.pop();
+      }
+      return output.map((line) => line.text).join("\n") + "\n";
+    }
+
+    return {
+      parseBlocks,
+      detectBlockFramework,
+      isAdjacent,
+      isLabel,
+      findGroups,
+      filterMarkdown,
+    };
+  }
+
+  return { parseBlocks, rewriteLinks, createMarkdownTools };
+});
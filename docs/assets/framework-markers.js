@@ -0,0 +1,260 @@
+// Framework configuration and marker rules shared by the framework switcher
+// (in the browser) and the documentation scripts (in Node)
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FrameworkMarkers = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Helper to convert string patterns to RegExp
+  const toRegExp = (pattern) => {
+    if (!pattern) return null;
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern === "string") {
+      const match = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (match) return new RegExp(match[1], match[2]);
+      return new RegExp(pattern);
+    }
+    return null;
+  };
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  // Longest first, so "svelte5" is tried before "svelte"
+  const byLengthDesc = (a, b) => b.length - a.length;
+
+  const commentPrefixes = ["//", "#", "<!--"];
+
+  function isCommentLine(line) {
+    const trimmed = line.trim();
+    return commentPrefixes.some((prefix) => trimmed.startsWith(prefix));
+  }
+
+  // Inline annotations at the end of a line, for the code fences plugin:
+  // // [!code focus]. The group is the annotation's name.
+  const annotationPattern =
+    /\s*(?:\/\/|#|<!--|\/\*)\s*\[!code\s+(highlight|hl|focus|\+\+|--)\]\s*(?:-->|\*\/)?\s*$/;
+
+  // A file name among the first comment lines of a code block, which the
+  // code fences plugin shows as its title: // file: server.ts
+  const fileMarkerPattern =
+    /^\s*(?:\/\/|#|<!--|\/\*)\s*file:\s*(.+?)\s*(?:-->|\*\/)?\s*$/i;
+  const commentStartPattern = /^\s*(?:\/\/|#|<!--|\/\*)/;
+
+  // Finds the file marker in a code block's lines, passing over the line at
+  // `skip` (its framework marker). Returns { title, index } or null.
+  function findFileMarker(lines, skip = -1) {
+    for (let i = 0; i < Math.min(lines.length, 5); i++) {
+      if (!lines[i].trim() || i === skip) continue;
+      const match = lines[i].match(fileMarkerPattern);
+      if (match) return { title: match[1], index: i };
+      if (!commentStartPattern.test(lines[i])) break;
+    }
+    return null;
+  }
+
+  function createMarkers(userConfig = {}) {
+    // Each axis is an independent selection (e.g. server and client frameworks).
+    // Without explicit axes, all frameworks share a single "default" axis.
+    const axisConfig = userConfig.axes || {
+      default: {
+        frameworks: userConfig.frameworks || [],
+        defaultFramework: userConfig.defaultFramework || "",
+      },
+    };
+
+    const axes = Object.keys(axisConfig).map((name) => {
+      const axis = axisConfig[name] || {};
+      const frameworks = axis.frameworks || [];
+      return {
+        name,
+        frameworks,
+        defaultFramework: axis.defaultFramework || frameworks[0] || "",
+        storageKey: axis.storageKey,
+      };
+    });
+
+    const frameworks = axes.reduce(
+      (all, axis) => all.concat(axis.frameworks),
+      []
+    );
+    const frameworkNames = userConfig.frameworkNames || {};
+    const families = userConfig.families || {};
+
+    // Map each framework to the axis it belongs to
+    const frameworkAxis = {};
+    axes.forEach((axis) => {
+      axis.frameworks.forEach((framework) => {
+        frameworkAxis[framework] = axis.name;
+      });
+    });
+
+    // Aliases are matched after removing case and whitespace
+    const squash = (name) => String(name).toLowerCase().replace(/\s+/g, "");
+    const aliases = {};
+    Object.keys(userConfig.aliases || {}).forEach((alias) => {
+      aliases[squash(alias)] = userConfig.aliases[alias];
+    });
+
+    function formatName(framework) {
+      return (
+        frameworkNames[framework] ||
+        framework.charAt(0).toUpperCase() + framework.slice(1)
+      );
+    }
+
+    // Returns the configured framework for a name, alias or label, or null
+    function normalize(name) {
+      if (!name) return null;
+      const squashed = squash(name);
+      const framework = aliases[squashed] || squashed;
+      return frameworkAxis[framework] ? framework : null;
+    }
+
+    // Markers and labels accept every framework id, alias and display name
+    const markerNames = frameworks
+      .concat(Object.keys(userConfig.aliases || {}))
+      .map(escapeRegExp)
+      .sort(byLengthDesc);
+
+    const labelNames = frameworks
+      .map(formatName)
+      .concat(Object.keys(userConfig.aliases || {}))
+      .map((name) => escapeRegExp(name).replace(/\s+/g, "\\s*"))
+      .sort(byLengthDesc);
+
+    const markerPattern =
+      toRegExp(userConfig.markerPattern) ||
+      new RegExp(
+        `^\\s*(?:\\/\\/\\s*|#\\s*|<!--\\s*)?framework:\\s*(${markerNames.join(
+          "|"
+        )})(?![\\w-])(?:\\s*-->)?`,
+        "i"
+      );
+
+    const labelPattern =
+      toRegExp(userConfig.labelPattern) ||
+      new RegExp(`^(${labelNames.join("|")}):?\\s*$`, "i");
+
+    const maxLinesToCheck = userConfig.maxLinesToCheck || 5;
+
+    // Finds a marker or label line at the top of a code block.
+    // Returns { framework, index } or null.
+    function findMarker(lines) {
+      for (let i = 0; i < Math.min(lines.length, maxLinesToCheck); i++) {
+        const line = lines[i];
+
+        if (!line.trim()) continue;
+
+        const match = line.match(markerPattern) || line.match(labelPattern);
+        if (match) {
+          const framework = normalize(match[1]);
+          if (framework) return { framework, index: i };
+        }
+
+        // Stop at first non-empty, non-comment line
+        if (!isCommentLine(line)) break;
+      }
+
+      return null;
+    }
+
+    function detectLabel(text) {
+      const match = (text || "").trim().match(labelPattern);
+      return match ? normalize(match[1]) : null;
+    }
+
+    // Prose containers in markdown:
+    //   <!-- framework: nestjs, express --> ... <!-- /framework -->
+    const proseOpenPattern = /^\s*framework:\s*(.+?)\s*$/i;
+    const proseClosePattern = /^\s*\/\s*framework\s*$/i;
+
+    // Parses the text of an HTML comment. Returns { type: "open", frameworks },
+    // { type: "close" } or null.
+    function parseProseMarker(text) {
+      if (proseClosePattern.test(text)) return { type: "close" };
+
+      const match = text.match(proseOpenPattern);
+      if (!match) return null;
+
+      const frameworks = match[1]
+        .split(/\s*,\s*/)
+        .map(normalize)
+        .filter(Boolean);
+      return frameworks.length ? { type: "open", frameworks } : null;
+    }
+
+    // Parent chain within a family, e.g. svelte5 -> svelte
+    function getAncestors(framework) {
+      const ancestors = [];
+      let parent = families[framework];
+      while (parent && !ancestors.includes(parent)) {
+        ancestors.push(parent);
+        parent = families[parent];
+      }
+      return ancestors;
+    }
+
+    function getFamilyRoot(framework) {
+      const ancestors = getAncestors(framework);
+      return ancestors.length ? ancestors[ancestors.length - 1] : framework;
+    }
+
+    // Frameworks to try, in order, when a group lacks the selected one:
+    // the framework itself, its ancestors, then the rest of its family
+    function getFallbacks(framework) {
+      const root = getFamilyRoot(framework);
+      const relatives = frameworks.filter(
+        (fw) => fw !== framework && getFamilyRoot(fw) === root
+      );
+      return [framework]
+        .concat(getAncestors(framework))
+        .concat(relatives.filter((fw) => !getAncestors(framework).includes(fw)));
+    }
+
+    // Whether content written for any of `frameworks` applies to the
+    // selected framework; content for a parent applies to its children
+    function appliesTo(frameworks, selected) {
+      const candidates = [selected].concat(getAncestors(selected));
+      return frameworks.some((fw) => candidates.includes(fw));
+    }
+
+    // Picks the framework to show from the ones available, falling back to
+    // family members and finally to the first available framework
+    function resolve(selected, available) {
+      if (!available.length) return null;
+      const match = getFallbacks(selected).find((fw) => available.includes(fw));
+      return match || available[0];
+    }
+
+    return {
+      axes,
+      frameworks,
+      frameworkAxis,
+      frameworkNames,
+      families,
+      aliases,
+      markerPattern,
+      labelPattern,
+      maxLinesToCheck,
+      formatName,
+      normalize,
+      findMarker,
+      detectLabel,
+      parseProseMarker,
+      appliesTo,
+      getAncestors,
+      getFallbacks,
+      resolve,
+    };
+  }
+
+  return {
+    createMarkers,
+    toRegExp,
+    isCommentLine,
+    annotationPattern,
+    findFileMarker,
+  };
+});
@@ -4,7 +4,7 @@
       display: flex;
       gap: 0;
       margin: 1rem 0;
-      background: #4a5074;
+      background: var(--controlBackground, #4a5074);
       border-radius: 0.5rem;
       padding: 0.25rem;
       width: fit-content;
@@ -13,7 +13,7 @@
     .fw-switcher button {
       border: none;
       background: transparent;
-      color: rgba(255, 255, 255, 0.7);
+      color: var(--controlText, rgba(255, 255, 255, 0.7));
       padding: 0.5rem 1.5rem;
       border-radius: 0.375rem;
       cursor: pointer;
@@ -24,24 +24,136 @@
     }
 
     .fw-switcher button:hover {
-      color: rgba(255, 255, 255, 0.9);
+      color: var(--controlHoverText, rgba(255, 255, 255, 0.9));
     }
 
+    .fw-switcher button[aria-selected="true"],
     .fw-switcher button[aria-pressed="true"] {
-      background: #3a3f5c;
-      color: white;
+      background: var(--controlActiveBackground, #3a3f5c);
+      color: var(--controlActiveText, white);
       box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
     }
 
+    .fw-switcher button[aria-selected="true"]:hover,
     .fw-switcher button[aria-pressed="true"]:hover {
-      background: #3a3f5c;
-      color: white;
+      background: var(--controlActiveBackground, #3a3f5c);
+      color: var(--controlActiveText, white);
+    }
+
+    .fw-switcher button:focus-visible {
+      outline: 2px solid var(--theme-color, #84ba64);
+      outline-offset: -2px;
+    }
+
+    .fw-tabs {
+      display: flex;
+    }
+
+    .fw-switcher .fw-copy-link {
+      margin-left: 0.25rem;
+      padding: 0.5rem 0.75rem;
+      opacity: 0.6;
+    }
+
+    .fw-switcher .fw-copy-link:hover {
+      opacity: 1;
+    }
+
+    .fw-switcher .fw-copy-code {
+      margin-left: 0.25rem;
+      padding: 0.5rem 0.75rem;
+    }
+
+    .fw-switcher .fw-copy-imports {
+      padding: 0.5rem 0.75rem;
+      font-size: 0.875rem;
+    }
+
+    .fw-switcher .fw-copy-imports[hidden] {
+      display: none;
+    }
+
+    /* The group's own copy button replaces the per-block ones */
+    .fw-group > pre .docsify-copy-code-button {
+      display: none;
+    }
+
+    .fw-toast {
+      position: fixed;
+      left: 50%;
+      bottom: 1.5rem;
+      transform: translate(-50%, 1rem);
+      padding: 0.5rem 1rem;
+      border-radius: 0.375rem;
+      background: var(--controlBackground, #4a5074);
+      color: var(--controlActiveText, white);
+      font-size: 0.875rem;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+      opacity: 0;
+      pointer-events: none;
+      transition: opacity 0.2s ease, transform 0.2s ease;
+      z-index: 100;
+    }
+
+    .fw-toast.fw-toast-visible {
+      opacity: 1;
+      transform: translate(-50%, 0);
+    }
+
+    .fw-switcher .fw-compare-toggle {
+      margin-left: 0.25rem;
+      padding: 0.5rem 1rem;
+      font-size: 0.875rem;
     }
 
     .fw-group {
       margin: 1.5rem 0;
     }
 
+    /* Compare mode: the original variants make way for two panes */
+    .fw-comparing > pre {
+      display: none !important;
+    }
+
+    .fw-compare {
+      display: grid;
+      grid-template-columns: repeat(2, minmax(0, 1fr));
+      gap: 1rem;
+    }
+
+    .fw-compare-pane select {
+      margin-bottom: 0.5rem;
+      padding: 0.25rem 0.5rem;
+      border-radius: 0.375rem;
+      font: inherit;
+    }
+
+    .fw-compare-pane pre {
+      margin: 0;
+      overflow-x: auto;
+    }
+
+    .fw-compare .fw-line {
+      display: block;
+      min-height: 1.5em;
+    }
+
+    .fw-compare .fw-diff-removed {
+      background: rgba(248, 81, 73, 0.15);
+      box-shadow: inset 3px 0 0 rgba(248, 81, 73, 0.8);
+    }
+
+    .fw-compare .fw-diff-added {
+      background: rgba(63, 185, 80, 0.15);
+      box-shadow: inset 3px 0 0 rgba(63, 185, 80, 0.8);
+    }
+
+    @media (max-width: 960px) {
+      .fw-compare {
+        grid-template-columns: minmax(0, 1fr);
+      }
+    }
+
     .fw-hidden {
       display: none !important;
     }
@@ -71,46 +183,211 @@
   const userConfig =
     (window.$docsify && window.$docsify.frameworkSwitcher) || {};
 
-  // Helper to convert string patterns to RegExp
-  const toRegExp = (pattern) => {
-    if (!pattern) return null;
-    if (pattern instanceof RegExp) return pattern;
-    if (typeof pattern === "string") {
-      const match = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
-      if (match) return new RegExp(match[1], match[2]);
-      return new RegExp(pattern);
-    }
-    return null;
-  };
+  const markers = window.FrameworkMarkers.createMarkers(userConfig);
+
+  const storageKey = userConfig.storageKey || "docsify-fw";
+
+  const AXES = markers.axes.map((axis) => {
+    const options = (userConfig.axes && userConfig.axes[axis.name]) || {};
+    return Object.assign({}, axis, {
+      storageKey:
+        axis.storageKey ||
+        (userConfig.axes ? `${storageKey}-${axis.name}` : storageKey),
+      // Variants of a command rather than of an example (package managers):
+      // their groups can only be copied, and links do not carry the choice
+      commands: Boolean(options.commands),
+    });
+  });
 
   const CONFIG = {
-    storageKey: userConfig.storageKey || "docsify-fw",
-    frameworks: userConfig.frameworks || [],
-    defaultFramework: userConfig.defaultFramework || "",
-    frameworkNames: userConfig.frameworkNames || {},
-    markerPattern: toRegExp(userConfig.markerPattern),
-    labelPattern: toRegExp(userConfig.labelPattern),
-    maxLinesToCheck: userConfig.maxLinesToCheck || 5,
+    storageKey,
+    axes: AXES,
+    frameworks: markers.frameworks,
+    markerPattern: markers.markerPattern,
+    labelPattern: markers.labelPattern,
+    urlParam: userConfig.urlParam || "fw",
+    // Import statements "Copy with imports" may add, per framework
+    imports: userConfig.imports || {},
   };
 
-  let currentFramework =
-    localStorage.getItem(CONFIG.storageKey) || CONFIG.defaultFramework;
+  const frameworkAxis = markers.frameworkAxis;
 
-  function setFramework(framework) {
-    if (currentFramework === framework) return;
+  function getAxis(name) {
+    return AXES.find((axis) => axis.name === name) || null;
+  }
 
-    currentFramework = framework;
-    localStorage.setItem(CONFIG.storageKey, framework);
-    updateAllGroups();
-    updateAllSwitchers();
+  function readStoredFramework(axis) {
+    // Fall back to the pre-axis single key so existing preferences carry over
+    const stored =
+      localStorage.getItem(axis.storageKey) ||
+      localStorage.getItem(CONFIG.storageKey);
+    return axis.frameworks.includes(stored) ? stored : axis.defaultFramework;
   }
 
-  function normalizeFrameworkName(name) {
-    const normalized = name.toLowerCase().replace(/\s+/g, "");
+  // Currently selected framework per axis
+  const selection = {};
+  AXES.forEach((axis) => {
+    selection[axis.name] = readStoredFramework(axis);
+  });
+
+  function getSelectedFramework(axisName) {
+    return selection[axisName] || "";
+  }
+
+  // Keeps `anchor` at the same viewport position while `update` changes the
+  // layout above it (variants differ in length)
+  function preserveViewportPosition(anchor, update) {
+    if (!anchor || !anchor.isConnected) {
+      update();
+      return;
+    }
+
+    const before = anchor.getBoundingClientRect().top;
+    update();
+
+    // Nothing to restore if the anchor itself was hidden by the update
+    if (anchor.getClientRects().length === 0) return;
 
-    // TODO: Handle common variations and typos
+    const delta = anchor.getBoundingClientRect().top - before;
+    if (delta) {
+      // "instant" overrides any smooth scroll-behavior set on the page
+      window.scrollBy({ top: delta, behavior: "instant" });
+    }
+  }
 
-    return normalized;
+  // Heading the on-this-page scroll spy considers current
+  function getActiveHeading() {
+    const link = document.querySelector(
+      ".on-this-page a.active[data-heading-id]"
+    );
+    return link ? document.getElementById(link.dataset.headingId) : null;
+  }
+
+  // Selections made by the user are persisted and written to the URL;
+  // selections read from the URL or another tab only apply to this document.
+  // `anchor` is the element to keep in place, e.g. the clicked switcher.
+  function setFramework(
+    framework,
+    { persist = true, source = "user", anchor = getActiveHeading() } = {}
+  ) {
+    const axisName = frameworkAxis[framework];
+    if (!axisName || selection[axisName] === framework) return false;
+
+    const previous = selection[axisName];
+    selection[axisName] = framework;
+    if (persist) {
+      localStorage.setItem(getAxis(axisName).storageKey, framework);
+      if (!getAxis(axisName).commands) writeUrlFrameworks();
+    }
+
+    preserveViewportPosition(anchor, () => {
+      updateAllGroups(axisName);
+      updateAllSwitchers(axisName);
+      updateAllProse(axisName);
+    });
+
+    document.dispatchEvent(
+      new CustomEvent("framework:change", {
+        detail: {
+          axis: axisName,
+          framework,
+          previous,
+          source,
+          selection: Object.assign({}, selection),
+        },
+      })
+    );
+    return true;
+  }
+
+  // Keep every open docs tab in sync; the storage event only fires in
+  // tabs other than the one that wrote the value
+  function handleStorageChange(e) {
+    const axis = AXES.find((axis) => axis.storageKey === e.key);
+    if (!axis || !axis.frameworks.includes(e.newValue)) return;
+
+    setFramework(e.newValue, { persist: false, source: "storage" });
+  }
+
+  // Docsify routes live in the hash, e.g. #/forms?id=form-helper&fw=express,vue
+  function parseHashRoute(hash = window.location.hash) {
+    const route = hash.replace(/^#/, "");
+    const index = route.indexOf("?");
+    const params = {};
+
+    if (index > -1) {
+      route
+        .slice(index + 1)
+        .split("&")
+        .filter(Boolean)
+        .forEach((param) => {
+          // Only the first "=" separates the key; values may contain more
+          const separator = param.indexOf("=");
+          const key = separator > -1 ? param.slice(0, separator) : param;
+          const value = separator > -1 ? param.slice(separator + 1) : "";
+          try {
+            params[decodeURIComponent(key)] = decodeURIComponent(value);
+          } catch (e) {
+            // Malformed escapes such as %E0: ignore the parameter
+          }
+        });
+    }
+
+    return { path: index > -1 ? route.slice(0, index) : route, params };
+  }
+
+  function buildHashUrl(path, params) {
+    const query = Object.keys(params)
+      .filter((key) => params[key])
+      .map((key) => {
+        // Keep the framework list readable instead of encoding the commas
+        const value = String(params[key])
+          .split(",")
+          .map(encodeURIComponent)
+          .join(",");
+        return `${encodeURIComponent(key)}=${value}`;
+      })
+      .join("&");
+    const base = window.location.href.split("#")[0];
+    return `${base}#${path || "/"}${query ? `?${query}` : ""}`;
+  }
+
+  function readUrlFrameworks() {
+    const value = parseHashRoute().params[CONFIG.urlParam];
+    if (!value) return [];
+
+    return value
+      .split(",")
+      .map(normalizeFrameworkName)
+      .filter((framework) => {
+        const axis = getAxis(frameworkAxis[framework]);
+        return axis && !axis.commands;
+      });
+  }
+
+  function applyUrlFrameworks() {
+    readUrlFrameworks().forEach((framework) => {
+      setFramework(framework, { persist: false, source: "url" });
+    });
+  }
+
+  function writeUrlFrameworks() {
+    const { path, params } = parseHashRoute();
+    params[CONFIG.urlParam] = AXES.filter((axis) => !axis.commands)
+      .map((axis) => selection[axis.name])
+      .filter(Boolean)
+      .join(",");
+
+    // replaceState does not fire hashchange, so docsify does not re-route
+    window.history.replaceState(
+      window.history.state,
+      "",
+      buildHashUrl(path, params)
+    );
+  }
+
+  function normalizeFrameworkName(name) {
+    return markers.normalize(name);
   }
 
   function detectFramework(codeElement) {
@@ -120,77 +397,25 @@
     }
 
     const content = codeElement.textContent || "";
-    const lines = content.split(/\r?\n/);
-
-    // Check first few lines for framework markers (prioritize explicit markers)
-    for (let i = 0; i < Math.min(lines.length, CONFIG.maxLinesToCheck); i++) {
-      const line = lines[i];
-
-      if (!line.trim()) continue;
-
-      // Check for comment-style markers
-      if (CONFIG.markerPattern) {
-        const markerMatch = line.match(CONFIG.markerPattern);
-        if (markerMatch) {
-          const fw = normalizeFrameworkName(markerMatch[1]);
-          console.log(
-            "Detected framework from marker:",
-            fw,
-            "from line:",
-            line
-          );
-          if (CONFIG.frameworks.includes(fw)) {
-            codeElement.dataset.framework = fw;
-            return fw;
-          }
-        }
-      }
-
-      // Check for label-style markers
-      if (CONFIG.labelPattern) {
-        const labelMatch = line.match(CONFIG.labelPattern);
-        if (labelMatch) {
-          const framework = normalizeFrameworkName(labelMatch[1]);
-          if (CONFIG.frameworks.includes(framework)) {
-            codeElement.dataset.framework = framework;
-            return framework;
-          }
-        }
-      }
-
-      // Stop at first non-empty, non-comment line
-      if (
-        !line.trim().startsWith("//") &&
-        !line.trim().startsWith("#") &&
-        !line.trim().startsWith("<!--")
-      ) {
-        break;
-      }
+    const marker = markers.findMarker(content.split(/\r?\n/));
+    if (marker) {
+      codeElement.dataset.framework = marker.framework;
+      return marker.framework;
     }
 
     // Check if previous sibling is a paragraph with framework label
     const prevElement = codeElement.parentElement?.previousElementSibling;
-    if (prevElement && prevElement.tagName === "P" && CONFIG.labelPattern) {
-      const text = prevElement.textContent?.trim() || "";
-      const labelMatch = text.match(CONFIG.labelPattern);
-      if (labelMatch) {
-        const framework = normalizeFrameworkName(labelMatch[1]);
-        if (CONFIG.frameworks.includes(framework)) {
-          codeElement.dataset.framework = framework;
-          return framework;
-        }
+    if (prevElement && prevElement.tagName === "P") {
+      const framework = markers.detectLabel(prevElement.textContent);
+      if (framework) {
+        codeElement.dataset.framework = framework;
+        return framework;
       }
     }
 
     // Finally check class names as fallback
     for (const framework of CONFIG.frameworks) {
       if (codeElement.classList.contains(framework)) {
-        console.log(
-          "Detected framework from class:",
-          framework,
-          "classes:",
-          codeElement.classList
-        );
         codeElement.dataset.framework = framework;
         return framework;
       }
@@ -199,144 +424,688 @@
     return null;
   }
 
-  function stripMarkerLine(codeElement) {
-    if (codeElement.dataset.markerStripped === "true") return;
+  // Removes the characters between `start` and `end` from the text of
+  // `root`, keeping the surrounding markup (Prism token spans) intact
+  function removeTextRange(root, start, end) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const emptied = [];
+    let offset = 0;
+
+    while (offset < end && walker.nextNode()) {
+      const node = walker.currentNode;
+      const length = node.data.length;
+      const from = Math.max(start - offset, 0);
+      const to = Math.min(end - offset, length);
+
+      if (from < to) {
+        node.data = node.data.slice(0, from) + node.data.slice(to);
+        if (!node.data) emptied.push(node);
+      }
+      offset += length;
+    }
 
+    // Drop token spans left without any text
+    emptied.forEach((node) => {
+      let parent = node.parentNode;
+      node.remove();
+      while (parent && parent !== root && !parent.textContent) {
+        const next = parent.parentNode;
+        parent.remove();
+        parent = next;
+      }
+    });
+  }
+
+  function stripMarkerLine(codeElement) {
     const content = codeElement.textContent || "";
-    const lines = content.split(/\r?\n/);
+    const lines = content.split("\n");
+    const marker = markers.findMarker(lines);
+    if (!marker) return;
 
-    for (let i = 0; i < Math.min(lines.length, CONFIG.maxLinesToCheck); i++) {
-      const line = lines[i];
-      if (!line.trim()) continue;
+    // Offsets of the marker line, including its newline
+    const start = lines
+      .slice(0, marker.index)
+      .reduce((total, line) => total + line.length + 1, 0);
+    const end = Math.min(start + lines[marker.index].length + 1, content.length);
 
-      // Strip comment-style markers
-      if (CONFIG.markerPattern && CONFIG.markerPattern.test(line)) {
-        lines.splice(i, 1);
-        codeElement.textContent = lines.join("\n");
-        codeElement.dataset.markerStripped = "true";
-        return;
-      }
+    removeTextRange(codeElement, start, end);
+  }
 
-      // Strip label-style markers
-      if (CONFIG.labelPattern && CONFIG.labelPattern.test(line)) {
-        lines.splice(i, 1);
-        codeElement.textContent = lines.join("\n");
-        codeElement.dataset.markerStripped = "true";
-        return;
-      }
+  function isHighlighted(codeElement) {
+    return Boolean(codeElement.querySelector(".token"));
+  }
 
-      // Stop at first non-empty, non-comment line
-      if (
-        !line.trim().startsWith("//") &&
-        !line.trim().startsWith("#") &&
-        !line.trim().startsWith("<!--")
-      ) {
-        break;
-      }
+  // Detects the framework and strips its marker exactly once per block.
+  // Blocks rendered by docsify arrive highlighted; anything else is
+  // highlighted here so switching never has to re-run Prism.
+  function prepareCodeBlock(codeElement) {
+    if (codeElement.dataset.fwProcessed) return;
+    codeElement.dataset.fwProcessed = "true";
+
+    if (detectFramework(codeElement)) {
+      stripMarkerLine(codeElement);
     }
 
-    codeElement.dataset.markerStripped = "true";
+    if (
+      !isHighlighted(codeElement) &&
+      codeElement.isConnected &&
+      window.Prism &&
+      /\b(?:lang|language)-/.test(codeElement.className)
+    ) {
+      window.Prism.highlightElement(codeElement);
+    }
+  }
+
+  // Docsify afterEach hook: prepares every code block in the rendered page
+  // HTML before it is inserted into the document
+  function prepareHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    template.content.querySelectorAll("pre > code").forEach(prepareCodeBlock);
+    return template.innerHTML;
   }
 
   function formatFrameworkName(framework) {
-    return (
-      CONFIG.frameworkNames[framework] ||
-      framework.charAt(0).toUpperCase() + framework.slice(1)
-    );
+    return markers.formatName(framework);
   }
 
-  function createSwitcher(onSelect, selectedFramework, availableFrameworks) {
+  // Ids tying each tab to the code blocks it controls
+  const getTabId = (groupId, framework) => `fw-tab-${groupId}-${framework}`;
+  const getPanelId = (groupId, index) => `fw-panel-${groupId}-${index}`;
+
+  // Only the selected tab is in the tab order (roving tabindex)
+  function setTabSelected(tab, isSelected) {
+    tab.setAttribute("aria-selected", String(isSelected));
+    tab.tabIndex = isSelected ? 0 : -1;
+  }
+
+  function handleTabKeydown(e) {
+    const tabs = Array.from(
+      e.currentTarget.querySelectorAll('[role="tab"]')
+    ).filter((tab) => !tab.hidden);
+    const index = tabs.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    let target = null;
+    switch (e.key) {
+      case "ArrowRight":
+        target = tabs[(index + 1) % tabs.length];
+        break;
+      case "ArrowLeft":
+        target = tabs[(index - 1 + tabs.length) % tabs.length];
+        break;
+      case "Home":
+        target = tabs[0];
+        break;
+      case "End":
+        target = tabs[tabs.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    target.focus();
+    target.click();
+  }
+
+  function createSwitcher(
+    onSelect,
+    selectedFramework,
+    availableFrameworks,
+    groupId,
+    axis
+  ) {
     const container = document.createElement("div");
     container.className = "fw-switcher";
 
-    // Only create buttons for frameworks that are actually present
+    const tablist = document.createElement("div");
+    tablist.className = "fw-tabs";
+    tablist.setAttribute("role", "tablist");
+    tablist.setAttribute("aria-label", "Framework");
+    tablist.addEventListener("keydown", handleTabKeydown);
+
+    // Only create tabs for frameworks that are actually present
     availableFrameworks.forEach((framework) => {
       const button = document.createElement("button");
       button.type = "button";
+      button.id = getTabId(groupId, framework);
       button.textContent = formatFrameworkName(framework);
       button.dataset.framework = framework;
-      button.setAttribute(
-        "aria-pressed",
-        String(framework === selectedFramework)
-      );
-      button.setAttribute(
-        "aria-label",
-        `Switch to ${formatFrameworkName(framework)} examples`
-      );
+      button.setAttribute("role", "tab");
+      setTabSelected(button, framework === selectedFramework);
 
       button.addEventListener("click", (e) => {
         e.preventDefault();
-        onSelect(framework);
+        onSelect(framework, { anchor: container });
       });
 
-      container.appendChild(button);
+      tablist.appendChild(button);
     });
 
+    container.appendChild(tablist);
+    container.appendChild(createCopyCodeButton());
+    if (axis.commands) return container;
+
+    container.appendChild(createCopyImportsButton());
+    container.appendChild(createCopyLinkButton());
+
+    if (availableFrameworks.length > 1) {
+      container.appendChild(createCompareButton());
+    }
+
     return container;
   }
 
-  function updateGroupVisibility(groupElement) {
-    const codeBlocks = groupElement.querySelectorAll("pre > code");
-    let visibleFramework = null;
-    let hasVisibilityChanges = false;
+  function findNearestHeading(element) {
+    let node = element;
 
-    codeBlocks.forEach((codeBlock) => {
-      const framework =
-        codeBlock.dataset.framework || detectFramework(codeBlock);
-      if (framework) {
-        const preElement = codeBlock.parentElement;
-        const shouldHide = framework !== currentFramework;
-        const wasHidden = preElement.classList.contains("fw-hidden");
+    while (node && !node.classList.contains("markdown-section")) {
+      let sibling = node.previousElementSibling;
+      while (sibling) {
+        if (/^H[1-6]$/.test(sibling.tagName) && sibling.id) return sibling;
+        sibling = sibling.previousElementSibling;
+      }
+      node = node.parentElement;
+    }
 
-        if (shouldHide) {
-          preElement.classList.add("fw-hidden");
-        } else {
-          preElement.classList.remove("fw-hidden");
-          visibleFramework = framework;
-        }
+    return null;
+  }
 
-        // Track if visibility changed
-        if (wasHidden !== shouldHide) {
-          hasVisibilityChanges = true;
-        }
+  function getVisibleFramework(groupElement) {
+    const visible = groupElement.querySelector(
+      ":scope > pre:not(.fw-hidden) > code"
+    );
+    return visible ? visible.dataset.framework : null;
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+
+    // Fallback for insecure contexts without the async clipboard API
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error("copy failed"));
+  }
+
+  function createCopyLinkButton() {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "fw-copy-link";
+    button.textContent = "🔗";
+    button.title = "Copy link to this example";
+    button.setAttribute("aria-label", "Copy link to this example");
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+
+      const group = button.closest(".fw-group");
+      const framework = group && getVisibleFramework(group);
+      const heading = group && findNearestHeading(group);
+      const { path } = parseHashRoute();
+      const params = {};
+      if (heading) params.id = heading.id;
+      if (framework) params[CONFIG.urlParam] = framework;
+
+      copyText(buildHashUrl(path, params)).then(
+        () => flashButton(button, "✅"),
+        () => flashButton(button, "❌")
+      );
+    });
+
+    return button;
+  }
+
+  // Text of a variant as it should be pasted. Markers are stripped when the
+  // block is prepared; anything that re-rendered the block since (e.g. a
+  // plugin highlighting it again) may have brought the marker line back.
+  function getCopyText(codeElement) {
+    const lines = (codeElement.textContent || "").split("\n");
+    const marker = markers.findMarker(lines);
+    if (marker) lines.splice(marker.index, 1);
+    return lines.join("\n").replace(/\n+$/, "");
+  }
+
+  // Parses an import statement into the names it binds:
+  //   import express, { Router, type Request } from "express";
+  // Returns { module, defaultName, specifiers: [{ text, name }] } or null.
+  function parseImport(statement) {
+    const match = statement
+      .trim()
+      .match(
+        /^import\s+(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\})?\s*from\s*(["'][^"']+["']);?$/
+      );
+    if (!match) return null;
+
+    const specifiers = (match[2] || "")
+      .split(",")
+      .map((text) => text.trim())
+      .filter(Boolean)
+      .map((text) => ({ text, name: text.split(/\s+/).pop() }));
+
+    return { module: match[3], defaultName: match[1] || null, specifiers };
+  }
+
+  const importsByFramework = {};
+  Object.keys(CONFIG.imports).forEach((framework) => {
+    importsByFramework[framework] = CONFIG.imports[framework]
+      .map(parseImport)
+      .filter(Boolean);
+  });
+
+  const IMPORT_LANGUAGES = /\blang-(?:js|javascript|ts|typescript|jsx|tsx)\b/;
+
+  // Code of a block without its comments and strings, so only names the
+  // code actually uses are found
+  function getCodeOnlyText(codeElement) {
+    let text = "";
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.data;
+      } else if (
+        node.nodeType === Node.ELEMENT_NODE &&
+        !node.matches(".token.comment, .token.string, .token.template-string")
+      ) {
+        node.childNodes.forEach(walk);
+      } else {
+        text += " ";
       }
+    };
+    codeElement.childNodes.forEach(walk);
+    return text;
+  }
+
+  // Names the snippet imports or declares itself
+  function getBoundNames(text) {
+    const names = new Set();
+    const importPattern = /\bimport\s+([\s\S]*?)\s+from\s*["'][^"']+["']/g;
+    const declarationPattern =
+      /\b(?:const|let|var|function|class)\s+([A-Za-z_$][\w$]*)/g;
+    let match;
+
+    while ((match = importPattern.exec(text))) {
+      match[1]
+        .replace(/[{}*]/g, ",")
+        .split(",")
+        .map((part) => part.trim().split(/\s+/).pop())
+        .filter(Boolean)
+        .forEach((name) => names.add(name));
+    }
+    while ((match = declarationPattern.exec(text))) {
+      names.add(match[1]);
+    }
+
+    return names;
+  }
+
+  // Configured import statements for the names a block uses but does not
+  // import, trimmed to those names
+  function getMissingImports(codeElement) {
+    // Svelte 4 and 5 examples share the Svelte imports
+    const framework = markers
+      .getFallbacks(codeElement.dataset.framework)
+      .find((fw) => importsByFramework[fw]);
+    if (!framework || !IMPORT_LANGUAGES.test(codeElement.className)) return [];
+    const statements = importsByFramework[framework];
+
+    const code = getCodeOnlyText(codeElement);
+    const bound = getBoundNames(codeElement.textContent || "");
+    const used = new Set();
+    // Property names (app.listen) are not uses of a binding
+    const identifierPattern = /(^|[^.\w$])([A-Za-z_$][\w$]*)/g;
+    let match;
+    while ((match = identifierPattern.exec(code))) {
+      if (!bound.has(match[2])) used.add(match[2]);
+    }
+
+    return statements
+      .map((statement) => {
+        const defaultName = used.has(statement.defaultName)
+          ? statement.defaultName
+          : null;
+        const specifiers = statement.specifiers.filter((specifier) =>
+          used.has(specifier.name)
+        );
+        if (!defaultName && !specifiers.length) return null;
+
+        const clause = [
+          defaultName,
+          specifiers.length
+            ? `{ ${specifiers.map((specifier) => specifier.text).join(", ")} }`
+            : null,
+        ]
+          .filter(Boolean)
+          .join(", ");
+        return `import ${clause} from ${statement.module};`;
+      })
+      .filter(Boolean);
+  }
+
+  function getVisibleCodeBlock(groupElement) {
+    return groupElement.querySelector(":scope > pre:not(.fw-hidden) > code");
+  }
+
+  let toastTimer = null;
+
+  // One status message for the whole page, announced by screen readers
+  function showToast(message) {
+    let toast = document.querySelector(".fw-toast");
+    if (!toast) {
+      toast = document.createElement("div");
+      toast.className = "fw-toast";
+      toast.setAttribute("role", "status");
+      toast.setAttribute("aria-live", "polite");
+      document.body.appendChild(toast);
+    }
+
+    toast.textContent = message;
+    toast.classList.add("fw-toast-visible");
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+      toast.classList.remove("fw-toast-visible");
+    }, 2000);
+  }
+
+  // Copies the variant that is visible when the button is clicked, so it
+  // follows framework changes made anywhere on the page
+  function copyVisibleVariant(button, withImports) {
+    const group = button.closest(".fw-group");
+    const codeElement = group && getVisibleCodeBlock(group);
+    if (!codeElement) return;
+
+    const imports = withImports ? getMissingImports(codeElement) : [];
+    const text = imports.length
+      ? `${imports.join("\n")}\n\n${getCopyText(codeElement)}`
+      : getCopyText(codeElement);
+    const name = formatFrameworkName(codeElement.dataset.framework);
+
+    copyText(text).then(
+      () =>
+        showToast(
+          imports.length
+            ? `Copied ${name} example with ${imports.length} import${
+                imports.length === 1 ? "" : "s"
+              }`
+            : `Copied ${name} example`
+        ),
+      () => showToast("Could not copy to the clipboard")
+    );
+  }
+
+  function createCopyCodeButton() {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "fw-copy-code";
+    button.textContent = "📋";
+    button.title = "Copy code";
+    button.setAttribute("aria-label", "Copy code");
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      copyVisibleVariant(button, false);
     });
 
-    // If current framework isn't available in this group, show the first available one
-    if (!visibleFramework && codeBlocks.length > 0) {
-      const availableFrameworks = getAvailableFrameworks(groupElement);
-      if (availableFrameworks.length > 0) {
-        const firstFramework = availableFrameworks[0];
-        codeBlocks.forEach((codeBlock) => {
-          const framework =
-            codeBlock.dataset.framework || detectFramework(codeBlock);
-          if (framework === firstFramework) {
-            codeBlock.parentElement.classList.remove("fw-hidden");
-            hasVisibilityChanges = true;
-          }
+    return button;
+  }
+
+  // Only shown when the visible variant uses names it does not import
+  function createCopyImportsButton() {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "fw-copy-imports";
+    button.textContent = "+ imports";
+    button.title = "Copy code with its imports";
+    button.setAttribute("aria-label", "Copy code with its imports");
+    button.hidden = true;
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      copyVisibleVariant(button, true);
+    });
+
+    return button;
+  }
+
+  function updateCopyImportsButton(groupElement) {
+    const button = groupElement.querySelector(".fw-copy-imports");
+    if (!button) return;
+
+    const codeElement = getVisibleCodeBlock(groupElement);
+    button.hidden = !codeElement || !getMissingImports(codeElement).length;
+  }
+
+  function flashButton(button, text) {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = original;
+    }, 1500);
+  }
+
+  // The selected framework, or its closest available relative in this group
+  function getGroupFramework(groupElement) {
+    return markers.resolve(
+      getSelectedFramework(groupElement.dataset.axis),
+      getAvailableFrameworks(groupElement)
+    );
+  }
+
+  function createCompareButton() {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "fw-compare-toggle";
+    button.textContent = "Compare";
+    button.setAttribute("aria-pressed", "false");
+    button.setAttribute("aria-label", "Compare two variants side by side");
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+
+      const group = button.closest(".fw-group");
+      const enabled = !group.classList.contains("fw-comparing");
+      toggleCompare(group, enabled);
+      button.setAttribute("aria-pressed", String(enabled));
+    });
+
+    return button;
+  }
+
+  function findCodeBlock(groupElement, framework) {
+    return Array.from(
+      groupElement.querySelectorAll(":scope > pre > code")
+    ).find((codeBlock) => codeBlock.dataset.framework === framework);
+  }
+
+  // Splits highlighted code into lines, re-wrapping each text fragment in
+  // clones of its token spans so every line keeps its Prism highlighting
+  function splitHighlightedLines(codeElement) {
+    const lines = [{ text: "", nodes: [] }];
+
+    const wrap = (textNode, ancestors) =>
+      ancestors.reduceRight((child, ancestor) => {
+        const clone = ancestor.cloneNode(false);
+        clone.appendChild(child);
+        return clone;
+      }, textNode);
+
+    const walk = (node, ancestors) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        node.data.split("\n").forEach((part, i) => {
+          if (i > 0) lines.push({ text: "", nodes: [] });
+          if (!part) return;
+
+          const line = lines[lines.length - 1];
+          line.text += part;
+          line.nodes.push(wrap(document.createTextNode(part), ancestors));
         });
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        node.childNodes.forEach((child) =>
+          walk(child, ancestors.concat(node))
+        );
       }
+    };
+
+    codeElement.childNodes.forEach((child) => walk(child, []));
+
+    // Drop the empty line left by a trailing newline
+    if (lines.length > 1 && !lines[lines.length - 1].text) {
+      lines.pop();
     }
 
-    // Re-highlight newly visible code blocks
-    if (
-      hasVisibilityChanges &&
-      window.Prism &&
-      window.Prism.highlightAllUnder
-    ) {
-      window.Prism.highlightAllUnder(groupElement);
+    return lines;
+  }
+
+  // Line-level diff based on the longest common subsequence. Returns the
+  // indexes of lines that only exist on the left and on the right.
+  function diffLines(left, right) {
+    const a = left.map((line) => line.trim());
+    const b = right.map((line) => line.trim());
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
     }
+
+    const removed = new Set(a.keys());
+    const added = new Set(b.keys());
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        removed.delete(i++);
+        added.delete(j++);
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return { removed, added };
+  }
+
+  function renderComparePane(pane, codeElement, lines, changed, changeClass) {
+    const existing = pane.querySelector("pre");
+    if (existing) existing.remove();
+
+    // Clone the original pre/code so the language classes carry over
+    const pre = codeElement.parentElement.cloneNode(false);
+    pre.classList.remove("fw-hidden");
+    const code = codeElement.cloneNode(false);
+    delete code.dataset.framework;
+
+    lines.forEach((line, index) => {
+      const row = document.createElement("span");
+      row.className = "fw-line";
+      if (changed.has(index)) row.classList.add(changeClass);
+      line.nodes.forEach((node) => row.appendChild(node));
+      code.appendChild(row);
+    });
+
+    pre.appendChild(code);
+    pane.appendChild(pre);
+  }
+
+  function renderComparison(groupElement, compareElement) {
+    const [leftSelect, rightSelect] = compareElement.querySelectorAll("select");
+    const [leftPane, rightPane] = compareElement.querySelectorAll(
+      ".fw-compare-pane"
+    );
+    const leftCode = findCodeBlock(groupElement, leftSelect.value);
+    const rightCode = findCodeBlock(groupElement, rightSelect.value);
+    const leftLines = splitHighlightedLines(leftCode);
+    const rightLines = splitHighlightedLines(rightCode);
+    const { removed, added } = diffLines(
+      leftLines.map((line) => line.text),
+      rightLines.map((line) => line.text)
+    );
+
+    renderComparePane(leftPane, leftCode, leftLines, removed, "fw-diff-removed");
+    renderComparePane(rightPane, rightCode, rightLines, added, "fw-diff-added");
+  }
+
+  function createComparePane(frameworks, selectedFramework, onChange) {
+    const pane = document.createElement("div");
+    pane.className = "fw-compare-pane";
+
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", "Framework to compare");
+    frameworks.forEach((framework) => {
+      const option = document.createElement("option");
+      option.value = framework;
+      option.textContent = formatFrameworkName(framework);
+      option.selected = framework === selectedFramework;
+      select.appendChild(option);
+    });
+    select.addEventListener("change", onChange);
+
+    pane.appendChild(select);
+    return pane;
+  }
+
+  function toggleCompare(groupElement, enabled) {
+    const existing = groupElement.querySelector(".fw-compare");
+    if (existing) existing.remove();
+
+    groupElement.classList.toggle("fw-comparing", enabled);
+    if (!enabled) return;
+
+    // Compare the visible variant with the next available one
+    const availableFrameworks = getAvailableFrameworks(groupElement);
+    const left = getGroupFramework(groupElement);
+    const right = availableFrameworks.find((fw) => fw !== left);
+
+    const compare = document.createElement("div");
+    compare.className = "fw-compare";
+    const onChange = () => renderComparison(groupElement, compare);
+
+    compare.appendChild(createComparePane(availableFrameworks, left, onChange));
+    compare.appendChild(createComparePane(availableFrameworks, right, onChange));
+    groupElement.appendChild(compare);
+
+    renderComparison(groupElement, compare);
+  }
+
+  // Only toggles classes: every block was highlighted when it was prepared
+  function updateGroupVisibility(groupElement) {
+    const codeBlocks = groupElement.querySelectorAll(":scope > pre > code");
+    const currentFramework = getGroupFramework(groupElement);
+
+    codeBlocks.forEach((codeBlock) => {
+      const framework = codeBlock.dataset.framework;
+      if (framework) {
+        codeBlock.parentElement.classList.toggle(
+          "fw-hidden",
+          framework !== currentFramework
+        );
+      }
+    });
   }
 
   function getAvailableFrameworks(groupElement) {
     const frameworks = new Set();
-    const codeBlocks = groupElement.querySelectorAll("pre > code");
+    const codeBlocks = groupElement.querySelectorAll(":scope > pre > code");
 
     codeBlocks.forEach((codeBlock) => {
-      const framework =
-        codeBlock.dataset.framework || detectFramework(codeBlock);
-      if (framework) {
-        frameworks.add(framework);
+      if (codeBlock.dataset.framework) {
+        frameworks.add(codeBlock.dataset.framework);
       }
     });
 
@@ -344,48 +1113,110 @@
     return CONFIG.frameworks.filter((fw) => frameworks.has(fw));
   }
 
-  function updateAllGroups() {
-    const groups = document.querySelectorAll(".fw-group");
-    groups.forEach(updateGroupVisibility);
+  function getGroups(axisName) {
+    const selector = axisName
+      ? `.fw-group[data-axis="${axisName}"]`
+      : ".fw-group";
+    return document.querySelectorAll(selector);
   }
 
-  function updateAllSwitchers() {
-    const groups = document.querySelectorAll(".fw-group");
+  function updateAllGroups(axisName) {
+    getGroups(axisName).forEach(updateGroupVisibility);
+  }
 
-    groups.forEach((groupElement) => {
+  function updateAllSwitchers(axisName) {
+    getGroups(axisName).forEach((groupElement) => {
       const switcher = groupElement.querySelector(".fw-switcher");
       if (!switcher) return;
 
       const availableFrameworks = getAvailableFrameworks(groupElement);
+      const currentFramework = getGroupFramework(groupElement);
 
-      // Update button visibility and selection
-      switcher.querySelectorAll("button").forEach((button) => {
+      const tabs = switcher.querySelectorAll('[role="tab"]');
+      const hadFocus = Array.from(tabs).includes(document.activeElement);
+
+      // Update tab visibility and selection
+      tabs.forEach((button) => {
         const framework = button.dataset.framework;
 
-        // Hide button if framework not available
-        if (!availableFrameworks.includes(framework)) {
-          button.style.display = "none";
-        } else {
-          button.style.display = "";
+        // Hide tab if framework not available
+        button.hidden = !availableFrameworks.includes(framework);
+        setTabSelected(button, !button.hidden && framework === currentFramework);
+      });
+
+      updateCopyImportsButton(groupElement);
 
-          // Update selection state
-          const isSelected = framework === currentFramework;
-          button.setAttribute("aria-pressed", String(isSelected));
+      // Keep keyboard focus on the active tab
+      if (hadFocus) {
+        const activeTab = switcher.querySelector('[aria-selected="true"]');
+        if (activeTab && activeTab !== document.activeElement) {
+          activeTab.focus();
         }
-      });
+      }
+    });
+  }
 
-      // If current framework isn't available, select the first available one for this group
-      if (
-        !availableFrameworks.includes(currentFramework) &&
-        availableFrameworks.length > 0
-      ) {
-        const firstButton = switcher.querySelector(
-          `button[data-framework="${availableFrameworks[0]}"]`
-        );
-        if (firstButton) {
-          firstButton.setAttribute("aria-pressed", "true");
+  function updateProseVisibility(proseElement) {
+    const frameworks = proseElement.dataset.frameworks.split(",");
+    const selected = getSelectedFramework(proseElement.dataset.axis);
+    proseElement.classList.toggle(
+      "fw-hidden",
+      !markers.appliesTo(frameworks, selected)
+    );
+  }
+
+  function updateAllProse(axisName) {
+    const selector = axisName
+      ? `.fw-prose[data-axis="${axisName}"]`
+      : ".fw-prose";
+    document.querySelectorAll(selector).forEach(updateProseVisibility);
+  }
+
+  // Wraps content between <!-- framework: x --> and <!-- /framework -->
+  // comments in a container that follows the framework selection
+  function processProse() {
+    const section = document.querySelector(".markdown-section");
+    if (!section) return;
+
+    const walker = document.createTreeWalker(section, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) {
+      comments.push(walker.currentNode);
+    }
+
+    comments.forEach((comment) => {
+      const marker = markers.parseProseMarker(comment.data);
+      if (!marker || marker.type !== "open") return;
+
+      // Collect siblings up to the matching close marker, allowing nesting
+      const nodes = [];
+      let depth = 0;
+      let node = comment.nextSibling;
+
+      while (node) {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          const inner = markers.parseProseMarker(node.data);
+          if (inner && inner.type === "open") depth++;
+          if (inner && inner.type === "close") {
+            if (depth === 0) break;
+            depth--;
+          }
         }
+        nodes.push(node);
+        node = node.nextSibling;
       }
+
+      // Ignore containers that are never closed
+      if (!node) return;
+
+      const container = document.createElement("div");
+      container.className = "fw-prose";
+      container.dataset.frameworks = marker.frameworks.join(",");
+      container.dataset.axis = frameworkAxis[marker.frameworks[0]];
+
+      comment.parentNode.insertBefore(container, comment.nextSibling);
+      nodes.forEach((child) => container.appendChild(child));
+      updateProseVisibility(container);
     });
   }
 
@@ -428,24 +1259,48 @@
     return sibling === currentPre;
   }
 
-  function processPage() {
-    // Clear any existing processing
-    const existingGroups = document.querySelectorAll(".fw-group");
-    existingGroups.forEach((group) => {
-      const codeBlocks = group.querySelectorAll("pre > code");
-      codeBlocks.forEach((block) => {
-        delete block.dataset.framework;
-        delete block.dataset.markerStripped;
+  // Number of groups created, used for unique tab and panel ids
+  let groupCount = 0;
+
+  // Code blocks are the tab panels: each is labelled by its framework's tab,
+  // and each tab controls every block of its framework
+  function linkTabPanels(groupElement, groupId) {
+    const controls = {};
+
+    groupElement
+      .querySelectorAll(":scope > pre > code")
+      .forEach((codeBlock, index) => {
+        const framework = codeBlock.dataset.framework;
+        if (!framework) return;
+
+        const panel = codeBlock.parentElement;
+        panel.id = getPanelId(groupId, index);
+        panel.setAttribute("role", "tabpanel");
+        panel.setAttribute("aria-labelledby", getTabId(groupId, framework));
+        panel.tabIndex = 0;
+
+        controls[framework] = (controls[framework] || []).concat(panel.id);
       });
+
+    groupElement.querySelectorAll('[role="tab"]').forEach((tab) => {
+      const ids = controls[tab.dataset.framework];
+      if (ids) tab.setAttribute("aria-controls", ids.join(" "));
     });
+  }
+
+  // Groups adjacent framework blocks that are not grouped yet. Blocks are
+  // only detected and stripped once, in prepareCodeBlock.
+  function processPage() {
+    const section = document.querySelector(".markdown-section");
+    if (!section) return;
 
-    // Find all ungrouped code blocks
     const allCodeBlocks = Array.from(
-      document.querySelectorAll("pre > code")
+      section.querySelectorAll("pre > code")
     ).filter((codeBlock) => !codeBlock.closest(".fw-group"));
 
     let currentBatch = [];
     let batchFrameworks = new Set();
+    let batchAxis = null;
 
     const createGroupFromBatch = () => {
       if (currentBatch.length < 2) {
@@ -460,6 +1315,7 @@
       // Create the group
       const group = document.createElement("div");
       group.className = "fw-group";
+      group.dataset.axis = batchAxis;
 
       // Insert group before the first pre element
       parentElement.insertBefore(group, preElements[0]);
@@ -470,19 +1326,21 @@
       );
 
       // Determine which framework to show initially
-      let selectedFramework = currentFramework;
-      if (
-        !availableFrameworks.includes(currentFramework) &&
-        availableFrameworks.length > 0
-      ) {
-        selectedFramework = availableFrameworks[0];
-      }
+      const selectedFramework = markers.resolve(
+        getSelectedFramework(batchAxis),
+        availableFrameworks
+      );
 
       // Create and add switcher with only available frameworks
+      const groupId = ++groupCount;
+      group.dataset.groupId = groupId;
+
       const switcher = createSwitcher(
         setFramework,
         selectedFramework,
-        availableFrameworks
+        availableFrameworks,
+        groupId,
+        getAxis(batchAxis)
       );
       group.appendChild(switcher);
 
@@ -512,25 +1370,11 @@
         group.appendChild(element);
       });
 
-      // Set initial visibility
-      const codeBlocks = group.querySelectorAll("pre > code");
-      codeBlocks.forEach((codeBlock) => {
-        const framework =
-          codeBlock.dataset.framework || detectFramework(codeBlock);
-        if (framework) {
-          const preElement = codeBlock.parentElement;
-          if (framework !== selectedFramework) {
-            preElement.classList.add("fw-hidden");
-          }
-        }
-      });
+      linkTabPanels(group, groupId);
 
-      // Re-trigger PrismJS highlighting for moved code blocks
-      if (window.Prism && window.Prism.highlightAllUnder) {
-        window.Prism.highlightAllUnder(group);
-      } else if (window.Prism && window.Prism.highlightAll) {
-        window.Prism.highlightAll();
-      }
+      // Set initial visibility
+      updateGroupVisibility(group);
+      updateCopyImportsButton(group);
 
       currentBatch = [];
       batchFrameworks.clear();
@@ -539,14 +1383,15 @@
     // Process all code blocks
     for (let i = 0; i < allCodeBlocks.length; i++) {
       const codeBlock = allCodeBlocks[i];
-      const framework = detectFramework(codeBlock);
+      prepareCodeBlock(codeBlock);
+      const framework = codeBlock.dataset.framework;
 
       if (framework) {
-        stripMarkerLine(codeBlock);
-
-        // Check if this should be part of current batch
+        // Check if this should be part of current batch (same axis and adjacent)
+        const axisName = frameworkAxis[framework];
         const isAdjacent =
-          currentBatch.length === 0 || isAdjacentBlock(currentBatch, codeBlock);
+          currentBatch.length === 0 ||
+          (axisName === batchAxis && isAdjacentBlock(currentBatch, codeBlock));
 
         if (isAdjacent) {
           currentBatch.push(codeBlock);
@@ -557,6 +1402,7 @@
           batchFrameworks.clear();
           batchFrameworks.add(framework);
         }
+        batchAxis = axisName;
       } else {
         createGroupFromBatch();
       }
@@ -567,22 +1413,89 @@
 
   // Docsify plugin
   function frameworkSwitcherPlugin(hook, vm) {
-    hook.init(() => {
-      // Validate stored framework on init
-      if (!CONFIG.frameworks.includes(currentFramework)) {
-        currentFramework = CONFIG.defaultFramework;
-        localStorage.setItem(CONFIG.storageKey, currentFramework);
-      }
+    // Detect and strip markers on the rendered HTML, before it is inserted
+    hook.afterEach((html, next) => {
+      next(prepareHtml(html));
+    });
+
+    hook.mounted(() => {
+      observeContent();
     });
 
     hook.doneEach(() => {
-      // Use requestAnimationFrame for better performance
-      requestAnimationFrame(() => {
-        processPage();
-      });
+      // A framework in the URL overrides the stored preference
+      applyUrlFrameworks();
+      schedulePageUpdate();
     });
   }
 
+  let pageUpdateScheduled = false;
+
+  function schedulePageUpdate() {
+    if (pageUpdateScheduled) return;
+    pageUpdateScheduled = true;
+
+    requestAnimationFrame(() => {
+      pageUpdateScheduled = false;
+      processProse();
+      processPage();
+    });
+  }
+
+  function hasUnpreparedCode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    if (node.matches("pre > code")) return !node.dataset.fwProcessed;
+    return Boolean(node.querySelector("pre > code:not([data-fw-processed])"));
+  }
+
+  // Picks up code blocks inserted after the page rendered (e.g. by other
+  // plugins). Moving prepared blocks into groups does not trigger an update.
+  function observeContent() {
+    const section = document.querySelector(".markdown-section");
+    if (!section || !window.MutationObserver) return;
+
+    const observer = new MutationObserver((mutations) => {
+      const hasNewCode = mutations.some((mutation) =>
+        Array.from(mutation.addedNodes).some(hasUnpreparedCode)
+      );
+      if (hasNewCode) {
+        schedulePageUpdate();
+      }
+    });
+
+    observer.observe(section, { childList: true, subtree: true });
+  }
+
+  // Docsify does not re-render for query-only changes on the same page
+  window.addEventListener("hashchange", applyUrlFrameworks);
+  window.addEventListener("storage", handleStorageChange);
+
+  // Public API for embedded widgets and other plugins
+  window.FrameworkSwitcher = {
+    // Selected framework for an axis, or the whole selection keyed by axis
+    get(axisName) {
+      if (axisName) return getSelectedFramework(axisName);
+      return Object.assign({}, selection);
+    },
+
+    formatName(framework) {
+      return formatFrameworkName(framework);
+    },
+
+    set(framework) {
+      return setFramework(normalizeFrameworkName(String(framework)), {
+        source: "api",
+      });
+    },
+
+    // Calls back with the framework:change event detail; returns an unsubscribe function
+    subscribe(callback) {
+      const listener = (e) => callback(e.detail);
+      document.addEventListener("framework:change", listener);
+      return () => document.removeEventListener("framework:change", listener);
+    },
+  };
+
   window.$docsify = window.$docsify || {};
   window.$docsify.plugins = (window.$docsify.plugins || []).concat(
     frameworkSwitcherPlugin
@@ -65,8 +65,8 @@
 
     .on-this-page a.active {
       color: var(--sidebar-link-active-color, var(--theme-color, #fff));
-      border-left-color: var(--theme-color, #60a5fa);
-      background: var(--sidebar-link-active-bg, rgba(96, 165, 250, 0.1));
+      border-left-color: var(--theme-color, var(--accent));
+      background: var(--sidebar-link-active-bg, var(--accentBackground));
     }
 
     /* Nested items */
@@ -80,6 +80,19 @@
       padding-left: 2.25rem;
     }
 
+    /* Framework badges for headings that only apply to some stacks */
+    .on-this-page .fw-badge {
+      display: inline-block;
+      margin-left: 0.375rem;
+      padding: 0 0.375rem;
+      border: 1px solid var(--border-color, var(--borderColor, #4a5568));
+      border-radius: 0.25rem;
+      font-size: 0.6875rem;
+      line-height: 1.4;
+      vertical-align: middle;
+      opacity: 0.8;
+    }
+
     /* View as markdown link */
     .view-as-markdown {
       margin-top: 2rem;
@@ -90,7 +103,7 @@
     .view-as-markdown a {
       display: inline-flex;
       align-items: center;
-      color: var(--theme-color, #60a5fa);
+      color: var(--theme-color, var(--accent));
       text-decoration: none;
       font-size: 0.875rem;
       padding: 0.5rem 0.75rem;
@@ -100,8 +113,38 @@
     }
 
     .view-as-markdown a:hover {
-      background: var(--sidebar-link-hover-bg, rgba(96, 165, 250, 0.1));
-      border-color: var(--theme-color, #60a5fa);
+      background: var(--sidebar-link-hover-bg, var(--accentBackground));
+      border-color: var(--theme-color, var(--accent));
+    }
+
+    .view-as-markdown-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-top: 0.5rem;
+    }
+
+    .view-as-markdown-actions a,
+    .view-as-markdown-actions button {
+      padding: 0.25rem 0.625rem;
+      border: 1px solid var(--border-color, var(--borderColor, #4a5568));
+      border-radius: 0.375rem;
+      background: transparent;
+      color: var(--theme-color, var(--accent));
+      font: inherit;
+      font-size: 0.8125rem;
+      cursor: pointer;
+    }
+
+    .view-as-markdown-actions button:hover {
+      background: var(--sidebar-link-hover-bg, var(--accentBackground));
+      border-color: var(--theme-color, var(--accent));
+    }
+
+    .view-as-markdown-status {
+      display: block;
+      margin-top: 0.5rem;
+      font-size: 0.75rem;
+      opacity: 0.75;
     }
 
     /* Adjust main content to account for right sidebar */
@@ -109,17 +152,118 @@
       margin-right: 300px;
     }
 
-    /* Hide on mobile */
+    /* Heading permalinks, shown on hover */
+    .markdown-section .heading-permalink {
+      margin-left: 0.4em;
+      color: var(--theme-color, var(--accent));
+      text-decoration: none;
+      font-weight: 400;
+      opacity: 0;
+      transition: opacity 0.2s ease;
+    }
+
+    .markdown-section :is(h1, h2, h3, h4, h5, h6):hover .heading-permalink,
+    .markdown-section .heading-permalink:focus-visible,
+    .markdown-section .heading-permalink.copied {
+      opacity: 1;
+    }
+
+    /* Drawer toggle, only shown on narrow screens */
+    .on-this-page-toggle {
+      display: none;
+    }
+
+    /* Narrow screens: the panel becomes a dropdown under a sticky button */
     @media (max-width: 1280px) {
       .on-this-page {
         display: none;
       }
 
+      .on-this-page.open {
+        display: block;
+        top: var(--on-this-page-top, 4rem);
+        right: var(--on-this-page-right, 1rem);
+        width: min(320px, calc(100vw - 2rem));
+        height: auto;
+        max-height: calc(100vh - var(--on-this-page-top, 4rem) - 1rem);
+        padding: 1rem 1.25rem;
+        border: 1px solid var(--border-color, var(--borderColor, #4a5568));
+        border-radius: 0.5rem;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25);
+        z-index: 20;
+      }
+
+      .on-this-page::before {
+        display: none;
+      }
+
+      .on-this-page-toggle {
+        position: sticky;
+        top: 0.75rem;
+        z-index: 6;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        box-sizing: border-box;
+        width: 100%;
+        margin: 0 0 1rem;
+        padding: 0.375rem 0.75rem;
+        border: 1px solid var(--border-color, var(--borderColor, #4a5568));
+        border-radius: 0.375rem;
+        background: var(--background, #2d3748);
+        color: var(--textColor, #cbd5e0);
+        font: inherit;
+        font-size: 0.875rem;
+        cursor: pointer;
+      }
+
+      .on-this-page-toggle:hover,
+      .on-this-page-toggle[aria-expanded="true"] {
+        border-color: var(--theme-color, var(--accent));
+      }
+
+      .on-this-page-toggle:focus-visible {
+        outline: 2px solid var(--theme-color, var(--accent));
+        outline-offset: 2px;
+      }
+
+      .on-this-page-toggle-current {
+        flex: 1;
+        text-align: left;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        opacity: 0.7;
+      }
+
+      .on-this-page-toggle::after {
+        content: "";
+        margin-left: auto;
+        width: 0.4em;
+        height: 0.4em;
+        border-right: 1.5px solid currentColor;
+        border-bottom: 1.5px solid currentColor;
+        transform: translateY(-25%) rotate(45deg);
+        transition: transform 0.2s ease;
+      }
+
+      .on-this-page-toggle[aria-expanded="true"]::after {
+        transform: translateY(25%) rotate(-135deg);
+      }
+
       .content {
         margin-right: 0;
       }
     }
 
+    /* The sidebar of small screens makes main clip sideways; clip keeps
+       it from becoming a scroll container, so the toggle can stick */
+    @media (max-width: 768px) {
+      main {
+        overflow-x: clip;
+      }
+    }
+
     /* Smooth scrolling for anchor links */
     html {
       scroll-behavior: smooth;
@@ -130,6 +274,19 @@
   style.textContent = css;
   document.head.appendChild(style);
 
+  // Get user configuration from docsify options
+  const userConfig = (window.$docsify && window.$docsify.onThisPage) || {};
+
+  const CONFIG = {
+    frameworkBadges: Boolean(userConfig.frameworkBadges),
+    // Distance from the top of the viewport, in pixels, at which a heading
+    // becomes the current one; leave room for any fixed header
+    scrollOffset:
+      typeof userConfig.scrollOffset === "number"
+        ? userConfig.scrollOffset
+        : 100,
+  };
+
   function removeNestedFromLeftSidebar() {
     // Find the left sidebar
     const leftSidebar = document.querySelector("aside.sidebar");
@@ -209,17 +366,170 @@
     }
   }
 
-  function createOnThisPageSidebar() {
-    // Remove existing sidebar
-    const existing = document.querySelector(".on-this-page");
-    if (existing) {
-      existing.remove();
+  function getHeadingHref(id) {
+    // Use the stored route from Docsify
+    let currentPath = currentRoute;
+
+    // Remove leading slash if present
+    if (currentPath.startsWith("/")) {
+      currentPath = currentPath.substring(1);
     }
 
-    // Find all headings in the main content
-    const headings = document.querySelectorAll(
-      ".content h1, .content h2, .content h3, .content h4, .content h5, .content h6"
+    // Fallback to window location if route not available
+    if (!currentPath) {
+      currentPath = window.location.hash.replace("#/", "").split("?")[0];
+    }
+
+    // Final fallback
+    if (!currentPath) {
+      currentPath = "README";
+    }
+
+    return `#/${currentPath}?id=${encodeURIComponent(id)}`;
+  }
+
+  // A heading's text, without its permalink
+  function getHeadingText(heading) {
+    return Array.from(heading.childNodes)
+      .filter(
+        (node) =>
+          !(node.classList && node.classList.contains("heading-permalink"))
+      )
+      .map((node) => node.textContent)
+      .join("")
+      .trim();
+  }
+
+  function getContentHeadings() {
+    return Array.from(
+      document.querySelectorAll(
+        ".markdown-section h1, .markdown-section h2, .markdown-section h3, .markdown-section h4, .markdown-section h5, .markdown-section h6"
+      )
     );
+  }
+
+  function slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^\w\s-]/g, "")
+      .replace(/\s+/g, "-")
+      .replace(/--+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  // Docsify gives markdown headings unique ids, numbering repeats like
+  // usage, usage-1, ... Headings written as HTML get no id, or repeat one;
+  // they are numbered the same way. Hidden framework variants count too, so
+  // an id does not depend on the framework selection.
+  function assignHeadingIds() {
+    const headings = getContentHeadings();
+    const taken = new Set();
+    const pending = [];
+
+    headings.forEach((heading) => {
+      if (heading.id && !taken.has(heading.id)) {
+        taken.add(heading.id);
+      } else {
+        pending.push(heading);
+      }
+    });
+
+    pending.forEach((heading) => {
+      const base = heading.id || slugify(getHeadingText(heading)) || "section";
+      let id = base;
+      for (let n = 1; taken.has(id) || document.getElementById(id); n++) {
+        id = `${base}-${n}`;
+      }
+      taken.add(id);
+      heading.id = id;
+
+      // Docsify's own anchor inside the heading
+      const anchor = heading.querySelector("a.anchor");
+      if (anchor) {
+        anchor.dataset.id = id;
+        anchor.setAttribute("href", getHeadingHref(id));
+      }
+    });
+
+    headings.forEach(addPermalink);
+  }
+
+  function addPermalink(heading) {
+    if (heading.querySelector(".heading-permalink")) return;
+
+    const link = document.createElement("a");
+    link.className = "heading-permalink";
+    link.href = getHeadingHref(heading.id);
+    link.textContent = "#";
+    link.setAttribute("aria-label", `Copy link to ${getHeadingText(heading)}`);
+    link.title = "Copy link";
+
+    link.addEventListener("click", (e) => {
+      if (!navigator.clipboard) return;
+      e.preventDefault();
+
+      const url = new URL(link.getAttribute("href"), window.location.href);
+      navigator.clipboard
+        .writeText(url.href)
+        .then(() => {
+          link.textContent = "✓";
+          link.classList.add("copied");
+          setTimeout(() => {
+            link.textContent = "#";
+            link.classList.remove("copied");
+          }, 1500);
+        })
+        .catch(() => {
+          window.location.hash = link.getAttribute("href");
+        });
+    });
+
+    heading.appendChild(link);
+  }
+
+  // Old heading ids of the current page and the ids they now go by, so
+  // links to a renamed or renumbered heading keep working. A page lists
+  // them in comments: <!-- heading-alias: old-id, older-id -> new-id -->
+  const aliasPattern = /<!--\s*heading-alias:\s*(.+?)\s*->\s*(\S+?)\s*-->/g;
+  let headingAliases = {};
+
+  function parseHeadingAliases(markdown) {
+    const aliases = {};
+    for (const match of markdown.matchAll(aliasPattern)) {
+      match[1].split(",").forEach((alias) => {
+        aliases[alias.trim()] = match[2];
+      });
+    }
+    return aliases;
+  }
+
+  // Sends a link to an old id on to the heading it belongs to
+  function followHeadingAlias() {
+    const [path, query = ""] = window.location.hash
+      .replace(/^#/, "")
+      .split("?");
+    if (path !== currentRoute) return;
+
+    const params = new URLSearchParams(query);
+    const id = params.get("id");
+    const target = id && headingAliases[id];
+    if (!target || document.getElementById(id)) return;
+    if (!document.getElementById(target)) return;
+
+    params.set("id", target);
+    window.location.replace(`#${path}?${params.toString()}`);
+  }
+
+  function createOnThisPageSidebar() {
+    removeOnThisPage();
+
+    // Find all headings in the main content, skipping those hidden for the
+    // selected framework
+    const headings = Array.from(
+      document.querySelectorAll(
+        ".content h1, .content h2, .content h3, .content h4, .content h5, .content h6"
+      )
+    ).filter((heading) => !heading.closest(".fw-hidden"));
 
     if (headings.length === 0) return;
 
@@ -232,6 +542,7 @@
     // Create sidebar container
     const sidebar = document.createElement("div");
     sidebar.className = "on-this-page";
+    sidebar.id = "on-this-page";
 
     // Create title
     const title = document.createElement("h3");
@@ -247,22 +558,13 @@
 
     headings.forEach((heading, index) => {
       const level = parseInt(heading.tagName.charAt(1));
-      const text = heading.textContent.trim();
+      const text = getHeadingText(heading);
 
       // Skip h1 as it's usually the page title
       if (level === 1) return;
 
-      // Generate or get existing ID
-      let id = heading.id;
-      if (!id) {
-        id = text
-          .toLowerCase()
-          .replace(/[^\w\s-]/g, "")
-          .replace(/\s+/g, "-")
-          .replace(/--+/g, "-")
-          .trim();
-        heading.id = id;
-      }
+      // Every heading has a unique id by now, see assignHeadingIds()
+      const id = heading.id;
 
       // Adjust nesting level
       if (level > currentLevel) {
@@ -293,28 +595,14 @@
       const li = document.createElement("li");
       const link = document.createElement("a");
 
-      // Use the stored route from Docsify
-      let currentPath = currentRoute;
-
-      // Remove leading slash if present
-      if (currentPath.startsWith("/")) {
-        currentPath = currentPath.substring(1);
-      }
-
-      // Fallback to window location if route not available
-      if (!currentPath) {
-        currentPath = window.location.hash.replace("#/", "").split("?")[0];
-      }
-
-      // Final fallback
-      if (!currentPath) {
-        currentPath = "README";
-      }
-
-      link.href = `#/${currentPath}?id=${id}`;
+      link.href = getHeadingHref(id);
       link.textContent = text;
       link.setAttribute("data-heading-id", id);
 
+      if (CONFIG.frameworkBadges) {
+        appendFrameworkBadges(link, heading);
+      }
+
       li.appendChild(link);
       currentList.appendChild(li);
     });
@@ -329,50 +617,298 @@
 
     document.body.appendChild(sidebar);
 
+    // Narrow screens reach the same panel through a button in the content
+    const content = document.querySelector(".markdown-section");
+    if (content) {
+      content.insertBefore(createDrawerToggle(sidebar), content.firstChild);
+    }
+
     // Add scroll spy functionality
     setupScrollSpy();
   }
 
-  function createViewAsMarkdownLink() {
-    // Get the base path from the current URL (before the hash)
-    const fullUrl = window.location.href;
-    const hashIndex = fullUrl.indexOf("#");
-    const basePath = hashIndex > -1 ? fullUrl.substring(0, hashIndex) : fullUrl;
+  function removeOnThisPage() {
+    closeDrawer();
+    document
+      .querySelectorAll(".on-this-page, .on-this-page-toggle")
+      .forEach((element) => element.remove());
+  }
 
-    // Extract the path prefix (e.g., /docs/)
-    const url = new URL(basePath);
-    let pathPrefix = url.pathname;
+  function createDrawerToggle(sidebar) {
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "on-this-page-toggle";
+    toggle.setAttribute("aria-controls", sidebar.id);
+    toggle.setAttribute("aria-expanded", "false");
+
+    const label = document.createElement("span");
+    label.textContent = "On this page";
+    toggle.appendChild(label);
+
+    // The heading the reader is in, kept up to date by the scroll spy
+    const current = document.createElement("span");
+    current.className = "on-this-page-toggle-current";
+    toggle.appendChild(current);
+
+    toggle.addEventListener("click", () => {
+      if (sidebar.classList.contains("open")) {
+        closeDrawer();
+      } else {
+        openDrawer(sidebar, toggle);
+      }
+    });
+
+    // Picking a heading closes the drawer
+    sidebar.addEventListener("click", (e) => {
+      if (e.target.closest("a")) closeDrawer();
+    });
+
+    return toggle;
+  }
+
+  // Narrow screens only: the open panel and the button that opened it
+  let drawer = null;
+
+  function openDrawer(sidebar, toggle) {
+    closeDrawer();
+
+    // Drop the panel just below the button, right edges aligned
+    const rect = toggle.getBoundingClientRect();
+    sidebar.style.setProperty("--on-this-page-top", `${rect.bottom + 8}px`);
+    sidebar.style.setProperty(
+      "--on-this-page-right",
+      `${Math.max(8, window.innerWidth - rect.right)}px`
+    );
 
-    // Ensure path prefix ends with /
-    if (!pathPrefix.endsWith("/")) {
-      pathPrefix += "/";
+    sidebar.classList.add("open");
+    toggle.setAttribute("aria-expanded", "true");
+    drawer = { sidebar, toggle };
+
+    const active = sidebar.querySelector("a.active");
+    if (active) keepLinkInView(active);
+
+    document.addEventListener("keydown", handleDrawerKeydown);
+    document.addEventListener("click", handleOutsideClick, true);
+  }
+
+  function closeDrawer({ restoreFocus = false } = {}) {
+    if (!drawer) return;
+
+    drawer.sidebar.classList.remove("open");
+    drawer.toggle.setAttribute("aria-expanded", "false");
+    if (restoreFocus) drawer.toggle.focus();
+    drawer = null;
+
+    document.removeEventListener("keydown", handleDrawerKeydown);
+    document.removeEventListener("click", handleOutsideClick, true);
+  }
+
+  function handleDrawerKeydown(e) {
+    if (e.key === "Escape") closeDrawer({ restoreFocus: true });
+  }
+
+  function handleOutsideClick(e) {
+    if (
+      !drawer.sidebar.contains(e.target) &&
+      !drawer.toggle.contains(e.target)
+    ) {
+      closeDrawer();
     }
+  }
 
-    // Get current route/path for the markdown file
-    let currentPath = currentRoute;
-    if (currentPath.startsWith("/")) {
-      currentPath = currentPath.substring(1);
+  function appendFrameworkBadges(link, heading) {
+    const prose = heading.closest(".fw-prose");
+    if (!prose || !window.FrameworkSwitcher) return;
+
+    prose.dataset.frameworks.split(",").forEach((framework) => {
+      const badge = document.createElement("span");
+      badge.className = "fw-badge";
+      badge.textContent = window.FrameworkSwitcher.formatName(framework);
+      link.appendChild(badge);
+    });
+  }
+
+  // The page's markdown file, relative to docsify's basePath
+  let currentFile = "";
+
+  function getMarkdownUrl() {
+    return new URL(currentFile || "README.md", window.location.href).href;
+  }
+
+  // Source of the current page, fetched once for the markdown export
+  let pageSource = null;
+
+  function fetchPageSource() {
+    const url = getMarkdownUrl();
+    if (!pageSource || pageSource.url !== url) {
+      const promise = fetch(url).then((response) => {
+        if (!response.ok) {
+          throw new Error(`Could not load ${url}: ${response.status}`);
+        }
+        return response.text();
+      });
+      pageSource = { url, promise };
+      promise.catch(() => {
+        if (pageSource && pageSource.promise === promise) pageSource = null;
+      });
     }
+    return pageSource.promise;
+  }
 
-    // Handle root/home page
-    if (!currentPath || currentPath === "" || currentPath === "README") {
-      currentPath = "README.md";
-    } else if (!currentPath.endsWith(".md")) {
-      currentPath = currentPath + ".md";
+  // Link targets in the export point at the site, since the reader may
+  // paste it anywhere
+  function resolveExportLink(href) {
+    if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return href;
+
+    const [target, anchor] = href.split("#");
+    const pageUrl = window.location.href.split("#")[0];
+    if (!target) return pageUrl + getHeadingHref(anchor);
+
+    // Other pages: /forms, /forms.md, ../forms.md
+    const dir = currentRoute.replace(/[^/]*$/, "");
+    const path = new URL(target, `http://docs${dir}`).pathname;
+    if (/\.md$/.test(path) || !/\.\w+$/.test(path)) {
+      const route = path.replace(/\.md$/, "").replace(/(^|\/)README$/, "$1");
+      const query = anchor ? `?id=${encodeURIComponent(anchor)}` : "";
+      return `${pageUrl}#${route}${query}`;
     }
 
+    // Images and other files sit next to the markdown
+    return new URL(target, getMarkdownUrl()).href;
+  }
+
+  const switcherConfig =
+    (window.$docsify && window.$docsify.frameworkSwitcher) || {};
+  const markers = window.FrameworkMarkers
+    ? window.FrameworkMarkers.createMarkers(switcherConfig)
+    : null;
+  const markdownTools =
+    markers && window.FrameworkMarkdown
+      ? window.FrameworkMarkdown.createMarkdownTools(markers)
+      : null;
+
+  function getSelection() {
+    return window.FrameworkSwitcher ? window.FrameworkSwitcher.get() : {};
+  }
+
+  // The page as the reader sees it: the selected framework variants only,
+  // without markers, with absolute links
+  function buildMarkdownExport(source) {
+    if (!markdownTools) return source;
+    return markdownTools.filterMarkdown(source, getSelection(), {
+      resolveLink: resolveExportLink,
+    });
+  }
+
+  // Axes the page has variants for, in configuration order
+  function getPageAxes(source) {
+    const blocks = markdownTools.parseBlocks(source);
+    const used = new Set();
+
+    markdownTools.findGroups(blocks).forEach((group) => {
+      if (group.blocks.length > 1) used.add(group.axis);
+    });
+    blocks.forEach((block) => {
+      const marker =
+        block.type === "comment" && markers.parseProseMarker(block.text);
+      if (marker && marker.type === "open") {
+        used.add(markers.frameworkAxis[marker.frameworks[0]]);
+      }
+    });
+
+    return markers.axes.filter((axis) => used.has(axis.name));
+  }
+
+  // forms.md read with Express and React is saved as forms.express-react.md
+  function getExportFileName(source) {
+    const name = (currentFile || "README.md").split("/").pop();
+    if (!markdownTools) return name;
+
+    const selection = getSelection();
+    const frameworks = getPageAxes(source).map(
+      (axis) => selection[axis.name] || axis.defaultFramework
+    );
+    return frameworks.length
+      ? name.replace(/\.md$/, `.${frameworks.join("-")}.md`)
+      : name;
+  }
+
+  // Object URL of the current export, released when the sidebar is rebuilt
+  let exportUrl = null;
+
+  function copyExport(button) {
+    const label = button.textContent;
+    const showResult = (text) => {
+      button.textContent = text;
+      setTimeout(() => {
+        button.textContent = label;
+      }, 1500);
+    };
+
+    fetchPageSource()
+      .then((source) =>
+        navigator.clipboard.writeText(buildMarkdownExport(source))
+      )
+      .then(() => showResult("Copied"))
+      .catch(() => showResult("Copy failed"));
+  }
+
+  function createViewAsMarkdownLink() {
     // Create the container
     const container = document.createElement("div");
     container.className = "view-as-markdown";
 
-    // Create the link - use the detected path prefix
+    // Opens the raw file until the export is ready
     const link = document.createElement("a");
-    link.href = `${pathPrefix}${currentPath}`;
+    link.href = getMarkdownUrl();
     link.target = "_blank";
     link.rel = "noopener noreferrer";
     link.textContent = "VIEW AS MARKDOWN";
-
     container.appendChild(link);
+
+    const actions = document.createElement("div");
+    actions.className = "view-as-markdown-actions";
+
+    const download = document.createElement("a");
+    download.href = getMarkdownUrl();
+    download.download = (currentFile || "README.md").split("/").pop();
+    download.textContent = "Download";
+    actions.appendChild(download);
+
+    if (navigator.clipboard) {
+      const copy = document.createElement("button");
+      copy.type = "button";
+      copy.textContent = "Copy";
+      copy.addEventListener("click", () => copyExport(copy));
+      actions.appendChild(copy);
+    }
+
+    container.appendChild(actions);
+
+    // Point both links at the export for the current framework selection
+    if (exportUrl) {
+      URL.revokeObjectURL(exportUrl);
+      exportUrl = null;
+    }
+    fetchPageSource()
+      .then((source) => {
+        if (!container.isConnected) return;
+        const blob = new Blob([buildMarkdownExport(source)], {
+          type: "text/markdown;charset=utf-8",
+        });
+        exportUrl = URL.createObjectURL(blob);
+        link.href = exportUrl;
+        download.href = exportUrl;
+        download.download = getExportFileName(source);
+      })
+      .catch(() => {
+        // The links keep serving the page as written
+        const status = document.createElement("span");
+        status.className = "view-as-markdown-status";
+        status.textContent = "Export failed: showing the page as written";
+        container.appendChild(status);
+      });
+
     return container;
   }
 
@@ -419,71 +955,97 @@
     }, 50); // Small delay to let Docsify process first
   }
 
-  function setupScrollSpy() {
-    const links = document.querySelectorAll(".on-this-page a[data-heading-id]");
-    const headings = Array.from(links)
-      .map((link) => {
-        const id = link.getAttribute("data-heading-id");
-        return document.getElementById(id);
-      })
-      .filter(Boolean);
+  // Active heading tracking: a heading is active once its top has scrolled
+  // above the offset line, and stays active until the next one has
+  let spyObserver = null;
 
-    if (headings.length === 0) return;
+  function teardownScrollSpy() {
+    if (spyObserver) {
+      spyObserver.disconnect();
+      spyObserver = null;
+    }
+  }
 
-    function updateActiveLink() {
-      const scrollTop =
-        window.pageYOffset || document.documentElement.scrollTop;
+  // Scrolls the TOC panel, not the page, so the active link is visible
+  function keepLinkInView(link) {
+    const sidebar = link.closest(".on-this-page");
+    if (!sidebar) return;
 
-      // Remove all active classes
-      links.forEach((link) => link.classList.remove("active"));
+    const linkRect = link.getBoundingClientRect();
+    const sidebarRect = sidebar.getBoundingClientRect();
+    const margin = linkRect.height;
 
-      // Find the current heading
-      let activeHeading = null;
+    if (linkRect.top < sidebarRect.top + margin) {
+      sidebar.scrollTop -= sidebarRect.top + margin - linkRect.top;
+    } else if (linkRect.bottom > sidebarRect.bottom - margin) {
+      sidebar.scrollTop += linkRect.bottom - (sidebarRect.bottom - margin);
+    }
+  }
 
-      for (let i = headings.length - 1; i >= 0; i--) {
-        const heading = headings[i];
-        const rect = heading.getBoundingClientRect();
+  function setupScrollSpy() {
+    teardownScrollSpy();
 
-        if (rect.top <= 100) {
-          // 100px offset from top
-          activeHeading = heading;
-          break;
-        }
+    const links = Array.from(
+      document.querySelectorAll(".on-this-page a[data-heading-id]")
+    );
+    const headings = links.map((link) =>
+      document.getElementById(link.getAttribute("data-heading-id"))
+    );
+
+    if (!headings.some(Boolean) || !window.IntersectionObserver) return;
+
+    // Whether each heading is above the offset line
+    const above = headings.map(() => false);
+    let activeLink = null;
+
+    function setActiveLink(link) {
+      if (link === activeLink) return;
+      if (activeLink) activeLink.classList.remove("active");
+      activeLink = link;
+      if (link) {
+        link.classList.add("active");
+        keepLinkInView(link);
       }
 
-      // If no heading is above the fold, use the first one
-      if (!activeHeading && headings.length > 0) {
-        activeHeading = headings[0];
+      const current = document.querySelector(".on-this-page-toggle-current");
+      if (current) {
+        current.textContent = link ? link.firstChild.textContent : "";
       }
+    }
 
-      // Set active link
-      if (activeHeading) {
-        const activeLink = document.querySelector(
-          `.on-this-page a[data-heading-id="${activeHeading.id}"]`
-        );
-        if (activeLink) {
-          activeLink.classList.add("active");
+    function handleIntersect(entries) {
+      entries.forEach((entry) => {
+        const index = headings.indexOf(entry.target);
+        const line = entry.rootBounds
+          ? entry.rootBounds.top
+          : CONFIG.scrollOffset;
+        const isAbove = entry.boundingClientRect.top < line;
+
+        // Headings are in document order, so one heading's position also
+        // settles the ones a jump scrolled past without reporting them
+        for (let i = 0; i < headings.length; i++) {
+          if (i === index || (isAbove ? i < index : i > index)) {
+            above[i] = isAbove;
+          }
         }
-      }
+      });
 
-      // Also update the left sidebar active state if it got lost
-      updateLeftSidebarActiveState();
+      // Until the first heading is reached, it is the active one
+      const index = above.lastIndexOf(true);
+      setActiveLink(links[index === -1 ? 0 : index]);
     }
 
-    // Throttled scroll handler
-    let ticking = false;
-    function handleScroll() {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          updateActiveLink();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    }
+    // The root is the viewport below the offset line. Reporting both when a
+    // heading starts and stops being fully visible catches its top crossing
+    // the line in either direction.
+    spyObserver = new IntersectionObserver(handleIntersect, {
+      rootMargin: `-${CONFIG.scrollOffset}px 0px 0px 0px`,
+      threshold: [0, 1],
+    });
 
-    window.addEventListener("scroll", handleScroll);
-    updateActiveLink(); // Initial call
+    headings.forEach((heading) => {
+      if (heading) spyObserver.observe(heading);
+    });
   }
 
   // Store current route for URL generation
@@ -493,16 +1055,19 @@
   function onThisPagePlugin(hook, vm) {
     hook.beforeEach((content) => {
       // Clean up existing sidebar
-      const existing = document.querySelector(".on-this-page");
-      if (existing) {
-        existing.remove();
-      }
+      teardownScrollSpy();
+      removeOnThisPage();
+      headingAliases = parseHeadingAliases(content);
       return content;
     });
 
     hook.doneEach(() => {
       // Store the current route from vm
       currentRoute = vm.route.path || "";
+      currentFile = vm.route.file || "";
+
+      assignHeadingIds();
+      followHeadingAlias();
 
       // Use requestAnimationFrame to ensure DOM is fully rendered
       requestAnimationFrame(() => {
@@ -511,6 +1076,16 @@
     });
   }
 
+  // Links to an old heading id within the current page
+  window.addEventListener("hashchange", followHeadingAlias);
+
+  // Rebuild when the framework selection hides or reveals sections
+  document.addEventListener("framework:change", () => {
+    if (document.querySelector(".on-this-page")) {
+      createOnThisPageSidebar();
+    }
+  });
+
   window.$docsify = window.$docsify || {};
   window.$docsify.plugins = (window.$docsify.plugins || []).concat(
     onThisPagePlugin
@@ -0,0 +1,314 @@
+(function () {
+  // Shell blocks are written once, with npm. Before the markdown is
+  // rendered, each block that runs npm or npx is expanded into one block per
+  // package manager, marked for the package manager axis of the framework
+  // switcher, which then groups them like any other framework variants.
+  // A block marked for a framework (e.g. the Vue install next to the React
+  // and Svelte ones) is expanded inside a prose container for that framework.
+  const userConfig = (window.$docsify && window.$docsify.packageManagers) || {};
+  const switcherConfig =
+    (window.$docsify && window.$docsify.frameworkSwitcher) || {};
+
+  const markers = window.FrameworkMarkers.createMarkers(switcherConfig);
+
+  const CONFIG = {
+    axis: userConfig.axis || "packageManager",
+    languages: userConfig.languages || ["bash", "sh", "shell", "zsh"],
+  };
+
+  const axis = markers.axes.find((a) => a.name === CONFIG.axis);
+
+  const fencePattern = /^(\s*)(`{3,}|~{3,})(.*)$/;
+  const commandPattern = /^(\s*)(npm|npx)(?=\s|$)(.*)$/;
+  const separatorPattern = /(\s*(?:&&|\|\||;)\s*)/;
+
+  // Flags of `npm install` and what each package manager calls them.
+  // Flags that only restate the default are dropped.
+  const INSTALL_FLAGS = {
+    "-D": "-D",
+    "--save-dev": "-D",
+    "-E": "-E",
+    "--save-exact": "-E",
+    "-O": { pnpm: "-O", yarn: "-O", bun: "--optional" },
+    "--save-optional": { pnpm: "-O", yarn: "-O", bun: "--optional" },
+    "-P": "",
+    "-S": "",
+    "--save": "",
+    "--save-prod": "",
+  };
+
+  const GLOBAL_FLAGS = ["-g", "--global"];
+
+  // npm's shortcuts for running package scripts
+  const SCRIPT_COMMANDS = ["start", "stop", "restart", "test", "t"];
+
+  // Splits a command into words, keeping quoted arguments whole
+  function tokenize(text) {
+    return text.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  }
+
+  // Arguments for a script, without the `--` npm needs before them
+  function scriptArgs(args) {
+    return args[0] === "--" ? args.slice(1) : args;
+  }
+
+  function convertInstall(manager, args) {
+    const packages = [];
+    const flags = [];
+    let global = false;
+
+    for (const arg of args) {
+      if (GLOBAL_FLAGS.includes(arg)) {
+        global = true;
+      } else if (arg.startsWith("-")) {
+        if (!(arg in INSTALL_FLAGS)) return null;
+        const flag = INSTALL_FLAGS[arg];
+        const mapped = typeof flag === "string" ? flag : flag[manager];
+        if (mapped) flags.push(mapped);
+      } else {
+        packages.push(arg);
+      }
+    }
+
+    if (!packages.length) {
+      return global ? null : [manager, "install"].concat(flags);
+    }
+    if (global) {
+      return manager === "yarn"
+        ? ["yarn", "global", "add"].concat(flags, packages)
+        : [manager, "add", "-g"].concat(flags, packages);
+    }
+    return [manager, "add"].concat(flags, packages);
+  }
+
+  function convertUninstall(manager, args) {
+    const global = args.some((arg) => GLOBAL_FLAGS.includes(arg));
+    const packages = args.filter((arg) => !GLOBAL_FLAGS.includes(arg));
+    if (!packages.length || packages.some((arg) => arg.startsWith("-"))) {
+      return null;
+    }
+
+    if (global) {
+      return manager === "yarn"
+        ? ["yarn", "global", "remove"].concat(packages)
+        : [manager, "remove", "-g"].concat(packages);
+    }
+    return [manager, "remove"].concat(packages);
+  }
+
+  // Bun's own commands (bun test, bun build, ...) shadow package scripts,
+  // so its scripts always go through `bun run`
+  function convertScript(manager, script, args) {
+    const words =
+      manager === "bun" ? ["bun", "run", script] : [manager, script];
+    return words.concat(scriptArgs(args));
+  }
+
+  // npx and npm exec: run a package without adding it to the project
+  function convertExec(manager, args) {
+    const words = scriptArgs(
+      args.filter((arg) => arg !== "-y" && arg !== "--yes")
+    );
+    if (!words.length) return null;
+
+    const runner = {
+      pnpm: ["pnpm", "dlx"],
+      yarn: ["yarn", "dlx"],
+      bun: ["bunx"],
+    };
+    return runner[manager].concat(words);
+  }
+
+  // npm create vite@latest my-app -- --template vue
+  function convertCreate(manager, args) {
+    if (!args.length) return [manager, "init"];
+    if (args[0].startsWith("-")) return [manager, "init"].concat(args);
+
+    const initializer = args[0].replace(/@latest$/, "");
+    return [manager, "create", initializer].concat(
+      args.slice(1).filter((arg) => arg !== "--")
+    );
+  }
+
+  // Returns the words of an npm or npx command for another package manager,
+  // or null when there is no safe translation
+  function convertWords(manager, words) {
+    if (words[0] === "npx") return convertExec(manager, words.slice(1));
+
+    const [command, ...args] = words.slice(1);
+    switch (command) {
+      case "install":
+      case "i":
+      case "add":
+        return convertInstall(manager, args);
+      case "ci":
+        return args.length ? null : [manager, "install", "--frozen-lockfile"];
+      case "uninstall":
+      case "remove":
+      case "rm":
+      case "un":
+        return convertUninstall(manager, args);
+      case "run":
+      case "run-script":
+        return args.length
+          ? convertScript(manager, args[0], args.slice(1))
+          : null;
+      case "exec":
+      case "x":
+        return convertExec(manager, args);
+      case "create":
+      case "init":
+        return convertCreate(manager, args);
+      default:
+        if (SCRIPT_COMMANDS.includes(command)) {
+          const script = command === "t" ? "test" : command;
+          return convertScript(manager, script, args);
+        }
+        return null;
+    }
+  }
+
+  // Rewrites every npm command on a line. Returns the line unchanged when it
+  // runs no npm command, or null when one of its commands cannot be converted.
+  function convertLine(line, manager) {
+    const parts = line.split(separatorPattern);
+
+    for (let i = 0; i < parts.length; i += 2) {
+      const match = parts[i].match(commandPattern);
+      if (!match) continue;
+
+      const words = convertWords(
+        manager,
+        [match[2]].concat(tokenize(match[3]))
+      );
+      if (!words) return null;
+      parts[i] = match[1] + words.join(" ");
+    }
+
+    return parts.join("");
+  }
+
+  function runsNpm(line) {
+    return line
+      .split(separatorPattern)
+      .some((part) => commandPattern.test(part));
+  }
+
+  // The lines of a block for each package manager, npm first as written.
+  // Returns null when the block runs no npm command or cannot be converted.
+  function buildVariants(lines) {
+    if (!lines.some(runsNpm)) return null;
+
+    const variants = {};
+    for (const manager of axis.frameworks) {
+      if (manager === "npm") {
+        variants[manager] = lines;
+        continue;
+      }
+
+      const converted = lines.map((line) => convertLine(line, manager));
+      if (converted.includes(null)) return null;
+      variants[manager] = converted;
+    }
+    return variants;
+  }
+
+  // Replaces one fenced block (opening fence, content, closing fence) with
+  // its package manager variants
+  function expandBlock(opening, content, closing, indent) {
+    const dedented = content.map((line) =>
+      line.replace(new RegExp(`^ {0,${indent.length}}`), "")
+    );
+
+    // A block can only be in one group, so a framework's block moves its
+    // marker to a prose container around the package manager group
+    const marker = markers.findMarker(dedented);
+    if (marker && markers.frameworkAxis[marker.framework] === CONFIG.axis) {
+      return null;
+    }
+
+    const variants = buildVariants(
+      marker ? dedented.filter((line, i) => i !== marker.index) : dedented
+    );
+    if (!variants) return null;
+
+    const output = [];
+    Object.keys(variants).forEach((manager, i) => {
+      if (i > 0) output.push("");
+      output.push(
+        opening,
+        `${indent}# framework: ${manager}`,
+        ...variants[manager].map((line) => (line ? indent + line : line)),
+        closing
+      );
+    });
+
+    if (!marker) return output;
+    return [
+      `${indent}<!-- framework: ${marker.framework} -->`,
+      "",
+      ...output,
+      "",
+      `${indent}<!-- /framework -->`,
+    ];
+  }
+
+  function expandShellBlocks(markdown) {
+    const lines = markdown.split("\n");
+    const output = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const match = lines[i].match(fencePattern);
+      if (!match) {
+        output.push(lines[i++]);
+        continue;
+      }
+
+      const [, indent, fence, info] = match;
+      const language = info.trim().split(/\s+/)[0].toLowerCase();
+
+      // Find the closing fence: same character, at least as long
+      let end = i + 1;
+      while (end < lines.length) {
+        const close = lines[end].match(/^\s*(`{3,}|~{3,})\s*$/);
+        if (
+          close &&
+          close[1][0] === fence[0] &&
+          close[1].length >= fence.length
+        ) {
+          break;
+        }
+        end++;
+      }
+
+      const block = lines.slice(i, end + 1);
+      const expanded =
+        end < lines.length && CONFIG.languages.includes(language)
+          ? expandBlock(lines[i], lines.slice(i + 1, end), lines[end], indent)
+          : null;
+
+      output.push(...(expanded || block));
+      i = end + 1;
+    }
+
+    return output.join("\n");
+  }
+
+  // Docsify plugin
+  function packageManagersPlugin(hook) {
+    hook.beforeEach((content) => expandShellBlocks(content));
+  }
+
+  if (!axis) {
+    console.warn(
+      `package-managers: no "${CONFIG.axis}" axis in frameworkSwitcher.axes`
+    );
+    return;
+  }
+
+  window.$docsify = window.$docsify || {};
+  window.$docsify.plugins = (window.$docsify.plugins || []).concat(
+    packageManagersPlugin
+  );
+})();
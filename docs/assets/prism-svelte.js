@@ -1,4 +1,25 @@
-const blocks = "(if|else if|await|then|catch|each|html|debug)";
+// Prism grammar for Svelte 4 and 5 components. Embeds the TypeScript and
+// SCSS grammars, so it is loaded after those Prism components.
+
+const blocks =
+  "(?:if|else if|else|await|then|catch|each|key|snippet|html|debug|render|const)";
+
+// Balanced braces, up to three levels deep: {a}, {() => { b }}, ...
+const braces = /\{(?:\{(?:\{[^{}]*\}|[^{}])*\}|[^{}])*\}/.source;
+
+// Svelte 5 runes read like function calls: $state(0), $derived.by(fn), ...
+const rune = {
+  pattern:
+    /\$(?:state|derived|effect|props|bindable|inspect|host)(?:\.[a-z]+)?(?=\s*\()/,
+  alias: "keyword",
+};
+
+// Component scripts and template expressions, with runes
+const svelteJavaScript = Object.assign({ rune }, Prism.languages.javascript);
+const svelteTypeScript = Object.assign(
+  { rune },
+  Prism.languages.typescript || Prism.languages.javascript
+);
 
 Prism.languages.svelte = Prism.languages.extend("markup", {
   each: {
@@ -11,41 +32,51 @@ Prism.languages.svelte = Prism.languages.extend("markup", {
         {
           pattern: /(as[\s\S]*)\([\s\S]*\)(?=\s*\})/,
           lookbehind: true,
-          inside: Prism.languages["javascript"],
+          inside: svelteJavaScript,
         },
         {
           pattern: /(as[\s]*)[\s\S]*(?=\s*)/,
           lookbehind: true,
-          inside: Prism.languages["javascript"],
+          inside: svelteJavaScript,
         },
         {
           pattern: /(#each[\s]*)[\s\S]*(?=as)/,
           lookbehind: true,
-          inside: Prism.languages["javascript"],
+          inside: svelteJavaScript,
         },
       ],
       keyword: /[#/]each|as/,
       punctuation: /{|}/,
     },
   },
+  // {#if}, {:else}, {/key}, {#snippet name()}, {@render name()}, {@const}, ...
   block: {
     pattern: new RegExp(
-      "{[#:/@]/s" +
+      "{[#:/@]\\s*" +
         blocks +
-        "(?:(?:\\{(?:(?:\\{(?:[^{}])*\\})|(?:[^{}]))*\\})|(?:[^{}]))*}"
+        "\\b(?:(?:\\{(?:(?:\\{(?:[^{}])*\\})|(?:[^{}]))*\\})|(?:[^{}]))*}"
     ),
     inside: {
       punctuation: /^{|}$/,
-      keyword: [new RegExp("[#:/@]" + blocks + "( )*"), /as/, /then/],
+      keyword: [
+        new RegExp("^[#:/@]\\s*" + blocks + "\\b"),
+        /\bas\b/,
+        /\bthen\b/,
+      ],
       "language-javascript": {
-        pattern: /[\s\S]*/,
-        inside: Prism.languages["javascript"],
+        pattern: /[\s\S]+/,
+        inside: svelteJavaScript,
       },
     },
   },
   tag: {
-    pattern:
-      /<\/?(?!\d)[^\s>\/=$<%]+(?:\s(?:\s*[^\s>\/=]+(?:\s*=\s*(?:(?:"[^"]*"|'[^']*'|[^\s'">=]+(?=[\s>]))|(?:"[^"]*"|'[^']*'|{[\s\S]+?}(?=[\s/>])))|(?=[\s/>])))+)?\s*\/?>/i,
+    pattern: new RegExp(
+      /<\/?(?!\d)[^\s>\/=$<%]+(?:\s(?:\s*[^\s>\/=]+(?:\s*=\s*(?:__|"[^"]*"|'[^']*'|[^\s'">=]+(?=[\s>]))|(?=[\s/>])))+)?\s*\/?>/.source.replace(
+        "__",
+        braces
+      ),
+      "i"
+    ),
     greedy: true,
     inside: {
       tag: {
@@ -56,8 +87,8 @@ Prism.languages.svelte = Prism.languages.extend("markup", {
         },
       },
       "language-javascript": {
-        pattern: /\{(?:(?:\{(?:(?:\{(?:[^{}])*\})|(?:[^{}]))*\})|(?:[^{}]))*\}/,
-        inside: Prism.languages["javascript"],
+        pattern: new RegExp(braces),
+        inside: svelteJavaScript,
       },
       "attr-value": {
         pattern: /=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+)/i,
@@ -71,13 +102,14 @@ Prism.languages.svelte = Prism.languages.extend("markup", {
           ],
           "language-javascript": {
             pattern: /{[\s\S]+}/,
-            inside: Prism.languages["javascript"],
+            inside: svelteJavaScript,
           },
         },
       },
-      punctuation: /\/?>/,
+      // The "=" of attributes whose value is an expression: onclick={...}
+      punctuation: [/\/?>/, /=(?=\s*$)/],
       "attr-name": {
-        pattern: /[^\s>\/]+/,
+        pattern: /[^\s>\/=]+/,
         inside: {
           namespace: /^[^\s>\/:]+:/,
         },
@@ -85,9 +117,9 @@ Prism.languages.svelte = Prism.languages.extend("markup", {
     },
   },
   "language-javascript": {
-    pattern: /\{(?:(?:\{(?:(?:\{(?:[^{}])*\})|(?:[^{}]))*\})|(?:[^{}]))*\}/,
+    pattern: new RegExp(braces),
     lookbehind: true,
-    inside: Prism.languages["javascript"],
+    inside: svelteJavaScript,
   },
 });
 
@@ -100,13 +132,15 @@ Prism.hooks.add("wrap", (env) => {
   }
 });
 
+// Highlights the body of <tagName> with `grammar`. With `langs`, only tags
+// whose lang attribute is one of them, e.g. <script lang="ts">.
 Object.defineProperty(Prism.languages.svelte.tag, "addInlined", {
-  value: function addInlined(tagName, lang) {
+  value: function addInlined(tagName, lang, grammar, langs) {
     const includedCdataInside = {};
     includedCdataInside["language-" + lang] = {
       pattern: /(^<!\[CDATA\[)[\s\S]+?(?=\]\]>$)/i,
       lookbehind: true,
-      inside: Prism.languages[lang],
+      inside: grammar,
     };
     includedCdataInside["cdata"] = /^<!\[CDATA\[|\]\]>$/i;
 
@@ -118,20 +152,24 @@ Object.defineProperty(Prism.languages.svelte.tag, "addInlined", {
     };
     inside["language-" + lang] = {
       pattern: /[\s\S]+/,
-      inside: Prism.languages[lang],
+      inside: grammar,
     };
 
+    const attributes = langs
+      ? `[^>]*\\slang\\s*=\\s*["']?(?:${langs.join("|")})\\b`
+      : "";
+
     const def = {};
-    def[tagName] = {
+    def[langs ? `${tagName}-${lang}` : tagName] = {
       pattern: RegExp(
-        /(<__[\s\S]*?>)(?:<!\[CDATA\[[\s\S]*?\]\]>\s*|[\s\S])*?(?=<\/__>)/.source.replace(
-          /__/g,
-          tagName
-        ),
+        /(<__\b__ATTRS[^>]*>)(?:<!\[CDATA\[[\s\S]*?\]\]>\s*|[\s\S])*?(?=<\/__>)/.source
+          .replace(/__ATTRS/g, attributes)
+          .replace(/__/g, tagName),
         "i"
       ),
       lookbehind: true,
       greedy: true,
+      alias: langs ? tagName : undefined,
       inside,
     };
 
@@ -139,5 +177,18 @@ Object.defineProperty(Prism.languages.svelte.tag, "addInlined", {
   },
 });
 
-Prism.languages.svelte.tag.addInlined("style", "css");
-Prism.languages.svelte.tag.addInlined("script", "javascript");
+// Tags with a lang attribute come first, so they win over the plain ones
+Prism.languages.svelte.tag.addInlined(
+  "script",
+  "typescript",
+  svelteTypeScript,
+  ["ts", "typescript"]
+);
+Prism.languages.svelte.tag.addInlined(
+  "style",
+  "scss",
+  Prism.languages.scss || Prism.languages.css,
+  ["scss"]
+);
+Prism.languages.svelte.tag.addInlined("style", "css", Prism.languages.css);
+Prism.languages.svelte.tag.addInlined("script", "javascript", svelteJavaScript);
@@ -0,0 +1,113 @@
+// Prism grammar for Vue single-file components. Template expressions are
+// highlighted as TypeScript, so this is loaded after the TypeScript and SCSS
+// Prism components.
+
+const vueExpression = Prism.languages.typescript || Prism.languages.javascript;
+
+Prism.languages.vue = Prism.languages.extend("markup", {});
+
+// {{ expression }} in templates
+Prism.languages.insertBefore("vue", "tag", {
+  interpolation: {
+    pattern: /\{\{[\s\S]*?\}\}/,
+    greedy: true,
+    inside: {
+      punctuation: /^\{\{|\}\}$/,
+      "language-typescript": {
+        pattern: /[\s\S]+/,
+        inside: vueExpression,
+      },
+    },
+  },
+});
+
+// Directives and their shorthands: v-if, v-for, v-on:click.prevent,
+// :prop, @event, #slot, v-bind:[key]. Their values are expressions.
+Prism.languages.insertBefore(
+  "inside",
+  "attr-value",
+  {
+    directive: {
+      pattern:
+        /(\s)(?:v-[\w-]+(?::(?:[\w-]+|\[[^\]]+\]))?|[:@#](?:[\w-]+|\[[^\]]+\]))(?:\.[\w-]+)*(?:\s*=\s*(?:"[^"]*"|'[^']*'))?/,
+      lookbehind: true,
+      inside: {
+        "attr-value": {
+          pattern: /=\s*(?:"[^"]*"|'[^']*')/,
+          inside: {
+            punctuation: [
+              /^=/,
+              {
+                pattern: /^(\s*)["']|["']$/,
+                lookbehind: true,
+              },
+            ],
+            "language-typescript": {
+              pattern: /[\s\S]+/,
+              inside: vueExpression,
+            },
+          },
+        },
+        "attr-name": {
+          pattern: /[\s\S]+/,
+          inside: {
+            punctuation: /^[:@#]|[:.[\]]/,
+          },
+        },
+      },
+    },
+  },
+  Prism.languages.vue.tag
+);
+
+// Highlights the body of <tagName> with `grammar`. With `langs`, only tags
+// whose lang attribute is one of them, e.g. <script setup lang="ts">.
+Object.defineProperty(Prism.languages.vue.tag, "addInlined", {
+  value: function addInlined(tagName, lang, grammar, langs) {
+    const inside = {};
+    inside["language-" + lang] = {
+      pattern: /[\s\S]+/,
+      inside: grammar,
+    };
+
+    const attributes = langs
+      ? `[^>]*\\slang\\s*=\\s*["']?(?:${langs.join("|")})\\b`
+      : "";
+
+    const def = {};
+    def[langs ? `${tagName}-${lang}` : tagName] = {
+      pattern: RegExp(
+        /(<__\b__ATTRS[^>]*>)[\s\S]*?(?=<\/__>)/.source
+          .replace(/__ATTRS/g, attributes)
+          .replace(/__/g, tagName),
+        "i"
+      ),
+      lookbehind: true,
+      greedy: true,
+      alias: langs ? tagName : undefined,
+      inside,
+    };
+
+    Prism.languages.insertBefore("vue", "cdata", def);
+  },
+});
+
+// Tags with a lang attribute come first, so they win over the plain ones
+Prism.languages.vue.tag.addInlined(
+  "script",
+  "typescript",
+  Prism.languages.typescript || Prism.languages.javascript,
+  ["ts", "typescript"]
+);
+Prism.languages.vue.tag.addInlined(
+  "style",
+  "scss",
+  Prism.languages.scss || Prism.languages.css,
+  ["scss"]
+);
+Prism.languages.vue.tag.addInlined("style", "css", Prism.languages.css);
+Prism.languages.vue.tag.addInlined(
+  "script",
+  "javascript",
+  Prism.languages.javascript
+);
@@ -0,0 +1,246 @@
+(function () {
+  // Light and dark themes. theme.css reads its colours from custom
+  // properties on :root, which this sets for the selected theme together
+  // with the matching Prism stylesheet. It runs before docsify renders
+  // anything, so the first paint is already themed.
+  const css = `
+    #theme-toggle {
+      border: none;
+      padding: 0;
+      background-color: transparent;
+    }
+
+    #theme-toggle:focus-visible {
+      outline: 2px solid var(--theme-color, #84ba64);
+      outline-offset: 2px;
+    }
+  `;
+
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  const userConfig = (window.$docsify && window.$docsify.theme) || {};
+
+  const CONFIG = {
+    storageKey: userConfig.storageKey || "docsify-theme",
+    // Used when the system states no colour scheme preference
+    defaultTheme: userConfig.defaultTheme || "dark",
+    lightStylesheet: userConfig.lightStylesheet || "prism-theme-light",
+    darkStylesheet: userConfig.darkStylesheet || "prism-theme-dark",
+  };
+
+  // Where docsify-darklight-theme kept the choice, so readers keep theirs
+  const legacyStorageKey = "DARK_LIGHT_THEME";
+
+  // Palette keys as docsify-darklight-theme spelled them, still accepted in
+  // the config
+  const LEGACY_KEYS = {
+    toogleBackground: "toggleBackground",
+    toogleImage: "toggleImage",
+  };
+
+  const PALETTES = {
+    dark: {
+      accent: "#42b983",
+      toggleBackground: "#ffffff",
+      background: "#091a28",
+      textColor: "#b4b4b4",
+      codeTextColor: "#ffffff",
+      codeBackgroundColor: "#0e2233",
+      borderColor: "#0d2538",
+      blockQuoteColor: "#858585",
+      highlightColor: "#d22778",
+      sidebarSublink: "#b4b4b4",
+      codeTypeColor: "#ffffff",
+      coverBackground:
+        "linear-gradient(to left bottom, hsl(118, 100%, 85%) 0%,hsl(181, 100%, 85%) 100%)",
+      toggleImage: 'url("/docs/assets/theme-sun.svg")',
+      // Segmented controls on code blocks: framework tabs, TS/JS, ...
+      controlBackground: "#4a5074",
+      controlActiveBackground: "#3a3f5c",
+      controlText: "rgba(255, 255, 255, 0.7)",
+      controlHoverText: "rgba(255, 255, 255, 0.9)",
+      controlActiveText: "#ffffff",
+      accentBackground: "rgba(132, 186, 100, 0.1)",
+    },
+    light: {
+      accent: "#42b983",
+      toggleBackground: "#091a28",
+      background: "#ffffff",
+      textColor: "#34495e",
+      codeTextColor: "#525252",
+      codeBackgroundColor: "#f8f8f8",
+      borderColor: "rgba(0, 0, 0, 0.07)",
+      blockQuoteColor: "#858585",
+      highlightColor: "#d22778",
+      sidebarSublink: "#505d6b",
+      codeTypeColor: "#091a28",
+      coverBackground:
+        "linear-gradient(to left bottom, hsl(118, 100%, 85%) 0%,hsl(181, 100%, 85%) 100%)",
+      toggleImage: 'url("/docs/assets/theme-moon.svg")',
+      controlBackground: "#e4e7f0",
+      controlActiveBackground: "#ffffff",
+      controlText: "rgba(9, 26, 40, 0.65)",
+      controlHoverText: "rgba(9, 26, 40, 0.9)",
+      controlActiveText: "#091a28",
+      accentBackground: "rgba(132, 186, 100, 0.15)",
+    },
+  };
+
+  Object.keys(PALETTES).forEach((name) => {
+    const overrides = Object.assign({}, userConfig[name]);
+    Object.keys(LEGACY_KEYS).forEach((legacyKey) => {
+      if (!(legacyKey in overrides)) return;
+      if (!(LEGACY_KEYS[legacyKey] in overrides)) {
+        overrides[LEGACY_KEYS[legacyKey]] = overrides[legacyKey];
+      }
+      delete overrides[legacyKey];
+    });
+    Object.assign(PALETTES[name], overrides);
+  });
+
+  // Settings shared by both themes
+  const SHARED = {
+    siteFont: userConfig.siteFont || "PT Sans",
+    codeFontFamily:
+      userConfig.codeFontFamily || "Roboto Mono, Monaco, courier, monospace",
+    bodyFontSize: userConfig.bodyFontSize || "17px",
+  };
+
+  const root = document.documentElement;
+
+  function readStoredTheme() {
+    const stored =
+      localStorage.getItem(CONFIG.storageKey) ||
+      localStorage.getItem(legacyStorageKey);
+    return PALETTES[stored] ? stored : null;
+  }
+
+  function prefersColorScheme(scheme) {
+    return Boolean(
+      window.matchMedia &&
+        window.matchMedia(`(prefers-color-scheme: ${scheme})`).matches
+    );
+  }
+
+  function getPreferredTheme() {
+    if (prefersColorScheme("dark")) return "dark";
+    if (prefersColorScheme("light")) return "light";
+    return CONFIG.defaultTheme;
+  }
+
+  let theme = readStoredTheme() || getPreferredTheme();
+
+  function setStylesheet(id, enabled) {
+    const link = document.getElementById(id);
+    if (link) link.disabled = !enabled;
+  }
+
+  function applyTheme() {
+    const palette = PALETTES[theme];
+    Object.keys(palette).forEach((key) => {
+      root.style.setProperty(`--${key}`, palette[key]);
+    });
+    root.style.setProperty("color-scheme", theme);
+    root.dataset.theme = theme;
+
+    setStylesheet(CONFIG.lightStylesheet, theme === "light");
+    setStylesheet(CONFIG.darkStylesheet, theme === "dark");
+
+    const toggle = document.getElementById("theme-toggle");
+    if (toggle) updateToggle(toggle);
+  }
+
+  function setTheme(value, { persist = true } = {}) {
+    if (!PALETTES[value]) return false;
+    if (persist) {
+      localStorage.setItem(CONFIG.storageKey, value);
+    }
+    if (value === theme) return false;
+
+    const previous = theme;
+    theme = value;
+    applyTheme();
+
+    document.dispatchEvent(
+      new CustomEvent("theme:change", {
+        detail: { theme: value, previous },
+      })
+    );
+    return true;
+  }
+
+  function updateToggle(toggle) {
+    const next = theme === "dark" ? "light" : "dark";
+    toggle.setAttribute("aria-label", `Switch to ${next} theme`);
+    toggle.title = `Switch to ${next} theme`;
+  }
+
+  // Placed and drawn by theme.css
+  function createToggle() {
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.id = "theme-toggle";
+    updateToggle(toggle);
+    return toggle;
+  }
+
+  function handleClick(e) {
+    if (!e.target.closest("#theme-toggle")) return;
+    setTheme(theme === "dark" ? "light" : "dark");
+  }
+
+  // Follows the system setting until the reader picks a theme
+  function handleColorSchemeChange() {
+    if (readStoredTheme()) return;
+    setTheme(getPreferredTheme(), { persist: false });
+  }
+
+  function handleStorageChange(e) {
+    if (e.key !== CONFIG.storageKey || !PALETTES[e.newValue]) return;
+    setTheme(e.newValue, { persist: false });
+  }
+
+  // Docsify plugin
+  function themePlugin(hook) {
+    hook.afterEach((html, next) => {
+      const template = document.createElement("template");
+      template.content.appendChild(createToggle());
+      next(template.innerHTML + html);
+    });
+  }
+
+  Object.keys(SHARED).forEach((key) => {
+    root.style.setProperty(`--${key}`, SHARED[key]);
+  });
+  applyTheme();
+
+  document.addEventListener("click", handleClick);
+  window.addEventListener("storage", handleStorageChange);
+  if (window.matchMedia) {
+    window
+      .matchMedia("(prefers-color-scheme: dark)")
+      .addEventListener("change", handleColorSchemeChange);
+  }
+
+  window.Theme = {
+    get() {
+      return theme;
+    },
+
+    set(value) {
+      return setTheme(value);
+    },
+
+    // Calls back with the theme:change event detail; returns an unsubscribe function
+    subscribe(callback) {
+      const listener = (e) => callback(e.detail);
+      document.addEventListener("theme:change", listener);
+      return () => document.removeEventListener("theme:change", listener);
+    },
+  };
+
+  window.$docsify = window.$docsify || {};
+  window.$docsify.plugins = (window.$docsify.plugins || []).concat(themePlugin);
+})();
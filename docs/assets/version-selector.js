@@ -0,0 +1,176 @@
+(function () {
+  const css = `
+    .version-selector {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      margin: 0 15px 1rem 15px;
+      font-size: 0.875rem;
+    }
+
+    .version-selector label {
+      color: var(--textColor, #a0aec0);
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+      font-size: 0.75rem;
+      font-weight: 600;
+    }
+
+    .version-selector select {
+      flex: 1;
+      padding: 0.375rem 0.5rem;
+      border: 1px solid var(--borderColor, #4a5568);
+      border-radius: 0.375rem;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+
+    .version-selector select option {
+      color: initial;
+    }
+  `;
+
+  const style = document.createElement("style");
+  style.textContent = css;
+  document.head.appendChild(style);
+
+  window.$docsify = window.$docsify || {};
+
+  const userConfig = window.$docsify;
+  const versions = userConfig.versions || [];
+
+  if (versions.length === 0) return;
+
+  const CONFIG = {
+    label: userConfig.versionSelectorLabel || "Version",
+    storageKey: userConfig.versionStorageKey || "docsify-version",
+    // basePath as configured, before any version folder is applied
+    basePath: userConfig.basePath || "",
+  };
+
+  function joinPath(...parts) {
+    return parts
+      .filter(Boolean)
+      .join("/")
+      .replace(/([^:]\/)\/+/g, "$1")
+      .replace(/^\/\//, "/");
+  }
+
+  function getVersionBasePath(version) {
+    if (!version.folder) return CONFIG.basePath;
+    return joinPath(CONFIG.basePath, version.folder) + "/";
+  }
+
+  function getDefaultVersion() {
+    return versions.find((version) => version.default) || versions[0];
+  }
+
+  function findVersion(folder) {
+    return versions.find((version) => version.folder === folder) || null;
+  }
+
+  const storedFolder = localStorage.getItem(CONFIG.storageKey);
+  const currentVersion =
+    (storedFolder !== null && findVersion(storedFolder)) || getDefaultVersion();
+
+  // Docsify reads basePath (and the search plugin its namespace) when it
+  // starts, so the selected version has to be applied before that happens
+  window.$docsify.basePath = getVersionBasePath(currentVersion);
+
+  if (currentVersion.folder) {
+    const search = window.$docsify.search;
+    if (search && typeof search === "object" && !Array.isArray(search)) {
+      search.namespace = joinPath(search.namespace, currentVersion.folder);
+    } else if (search) {
+      window.$docsify.search = {
+        paths: search,
+        namespace: currentVersion.folder,
+      };
+    }
+  }
+
+  function resolveUrl(path) {
+    const pageUrl = window.location.href.split("#")[0];
+    return new URL(path, pageUrl).href;
+  }
+
+  async function pageExists(url) {
+    try {
+      const response = await fetch(url, { method: "HEAD" });
+      return response.ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function switchVersion(vm, folder) {
+    const version = findVersion(folder);
+    if (!version || version === currentVersion) return;
+
+    // Keep the current page (and anchor) if it exists in the other version
+    const file = vm.router.getFile(vm.route.path, true).replace(/^\//, "");
+    const targetUrl = resolveUrl(joinPath(getVersionBasePath(version), file));
+
+    let route = vm.route.path;
+    if (vm.route.query.id) {
+      route += `?id=${encodeURIComponent(vm.route.query.id)}`;
+    }
+    if (!(await pageExists(targetUrl))) {
+      route = "/";
+    }
+
+    localStorage.setItem(CONFIG.storageKey, version.folder);
+    window.history.replaceState(null, "", `#${route}`);
+    window.location.reload();
+  }
+
+  function createVersionSelector(vm) {
+    const container = document.createElement("div");
+    container.className = "version-selector";
+
+    const id = "version-selector-select";
+
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = CONFIG.label;
+
+    const select = document.createElement("select");
+    select.id = id;
+
+    versions.forEach((version) => {
+      const option = document.createElement("option");
+      option.value = version.folder;
+      option.textContent = version.label || version.folder;
+      option.selected = version === currentVersion;
+      select.appendChild(option);
+    });
+
+    select.addEventListener("change", () => {
+      switchVersion(vm, select.value);
+    });
+
+    container.appendChild(label);
+    container.appendChild(select);
+    return container;
+  }
+
+  // Docsify plugin
+  function versionSelectorPlugin(hook, vm) {
+    // Rendered once on mount: doneEach does not run for 404 pages, and the
+    // selector must stay reachable when a page is missing from a version
+    hook.mounted(() => {
+      const sidebar = document.querySelector("aside.sidebar");
+      if (!sidebar || sidebar.querySelector(".version-selector")) return;
+
+      const selector = createVersionSelector(vm);
+      const sidebarNav = sidebar.querySelector(".sidebar-nav");
+      sidebar.insertBefore(selector, sidebarNav);
+    });
+  }
+
+  window.$docsify.plugins = (window.$docsify.plugins || []).concat(
+    versionSelectorPlugin
+  );
+})();
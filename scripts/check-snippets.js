@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Type-checks the TypeScript and JSX code blocks in the docs against local
+// type stubs for the server frameworks and the @inertianode/* packages.
+//
+// Usage: node scripts/check-snippets.js [files...]
+//
+// Each block is compiled as its own module, in strict mode, so it has to
+// import what it uses. Blocks marked for a framework get that framework's
+// placeholders (app, router, ...) unless they declare them themselves;
+// placeholders shared by all examples, such as `db`, live in
+// scripts/snippet-types/globals.d.ts. A block opts out with `no-check` in its
+// info string, e.g. ```ts no-check
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const { createMarkdownTools } = require("../docs/assets/framework-markdown");
+const {
+  rootDir,
+  docsDir,
+  loadDocsifyConfig,
+  loadMarkers,
+  findMarkdownFiles,
+} = require("./lib/docsify-config");
+
+const typesDir = path.join(__dirname, "snippet-types");
+
+// Fence languages to check, and the extension each block is compiled as
+const languages = {
+  ts: ".ts",
+  typescript: ".ts",
+  tsx: ".tsx",
+  jsx: ".tsx",
+};
+
+// Values the examples for each framework use without declaring them
+const preambles = {
+  hono: {
+    app: 'import("hono").Hono',
+  },
+  express: {
+    app: 'import("express").Express',
+    router: 'import("express").Router',
+  },
+  koa: {
+    app: 'import("koa")',
+    router: 'import("@koa/router")',
+  },
+  nestjs: {
+    app: 'import("@nestjs/common").INestApplication',
+  },
+};
+
+const compilerOptions = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  lib: ["lib.es2022.d.ts", "lib.dom.d.ts", "lib.dom.iterable.d.ts"],
+  jsx: ts.JsxEmit.Preserve,
+  experimentalDecorators: true,
+  emitDecoratorMetadata: false,
+  strict: true,
+  // JSX examples are JavaScript, with nowhere to write parameter types
+  noImplicitAny: false,
+  skipLibCheck: true,
+  noEmit: true,
+  types: [],
+};
+
+// Names declared at the top level of a snippet, which its preamble must not
+// declare again
+function getDeclaredNames(sourceFile) {
+  const names = new Set();
+
+  const addBinding = (name) => {
+    if (!name) return;
+    if (ts.isIdentifier(name)) {
+      names.add(name.text);
+    } else if (
+      ts.isObjectBindingPattern(name) ||
+      ts.isArrayBindingPattern(name)
+    ) {
+      name.elements.forEach((element) => {
+        if (!ts.isOmittedExpression(element)) addBinding(element.name);
+      });
+    }
+  };
+
+  sourceFile.statements.forEach((statement) => {
+    if (ts.isImportDeclaration(statement) && statement.importClause) {
+      const clause = statement.importClause;
+      addBinding(clause.name);
+      const bindings = clause.namedBindings;
+      if (bindings && ts.isNamespaceImport(bindings)) {
+        addBinding(bindings.name);
+      } else if (bindings) {
+        bindings.elements.forEach((element) => addBinding(element.name));
+      }
+    } else if (ts.isVariableStatement(statement)) {
+      statement.declarationList.declarations.forEach((declaration) =>
+        addBinding(declaration.name)
+      );
+    } else if (
+      ts.isFunctionDeclaration(statement) ||
+      ts.isClassDeclaration(statement) ||
+      ts.isEnumDeclaration(statement) ||
+      ts.isInterfaceDeclaration(statement) ||
+      ts.isTypeAliasDeclaration(statement) ||
+      ts.isImportEqualsDeclaration(statement)
+    ) {
+      addBinding(statement.name);
+    }
+  });
+
+  return names;
+}
+
+// The compiled source of a snippet: its own lines first, so line numbers map
+// straight back to the markdown, then the preamble declarations
+function buildSource(content, framework, fileName) {
+  const sourceFile = ts.createSourceFile(
+    fileName,
+    content,
+    ts.ScriptTarget.ES2022
+  );
+  const declared = getDeclaredNames(sourceFile);
+  const placeholders = preambles[framework] || {};
+
+  const preamble = Object.keys(placeholders)
+    .filter((name) => !declared.has(name))
+    .map((name) => `declare const ${name}: ${placeholders[name]};`);
+
+  return [content, ...preamble, "export {};", ""].join("\n");
+}
+
+// Collects the blocks to check, with the framework each one is written for
+function extractSnippets(file, markdown, tools, markers) {
+  const blocks = tools.parseBlocks(markdown);
+  const snippets = [];
+  let container = null;
+
+  blocks.forEach((block, index) => {
+    if (block.type === "comment") {
+      const marker = markers.parseProseMarker(block.text);
+      if (marker) container = marker.type === "open" ? marker.frameworks : null;
+      return;
+    }
+
+    if (block.type !== "code") return;
+
+    const extension = languages[block.lang.toLowerCase()];
+    const flags = block.info.split(/\s+/).slice(1);
+    if (!extension || flags.includes("no-check")) return;
+
+    const detected = tools.detectBlockFramework(blocks, index);
+    const framework = detected
+      ? detected.framework
+      : container
+      ? container[0]
+      : null;
+
+    snippets.push({
+      file,
+      line: block.line,
+      framework,
+      fileName: path.join(rootDir, "docs", `${file}.${block.line}${extension}`),
+      lineCount: block.content.split("\n").length,
+      source: buildSource(block.content, framework, `snippet${extension}`),
+    });
+  });
+
+  return snippets;
+}
+
+function getStubFiles() {
+  return fs
+    .readdirSync(typesDir)
+    .filter((name) => name.endsWith(".d.ts"))
+    .map((name) => path.join(typesDir, name));
+}
+
+// Compiles every snippet in one program, reading snippets from memory
+function checkSnippets(snippets) {
+  const sources = new Map(
+    snippets.map((snippet) => [snippet.fileName, snippet.source])
+  );
+  const host = ts.createCompilerHost(compilerOptions);
+  const readFile = host.readFile.bind(host);
+  const fileExists = host.fileExists.bind(host);
+  const getSourceFile = host.getSourceFile.bind(host);
+
+  host.readFile = (fileName) =>
+    sources.has(fileName) ? sources.get(fileName) : readFile(fileName);
+  host.fileExists = (fileName) => sources.has(fileName) || fileExists(fileName);
+  host.getSourceFile = (fileName, languageVersion, ...rest) =>
+    sources.has(fileName)
+      ? ts.createSourceFile(fileName, sources.get(fileName), languageVersion)
+      : getSourceFile(fileName, languageVersion, ...rest);
+
+  const program = ts.createProgram({
+    rootNames: getStubFiles().concat(Array.from(sources.keys())),
+    options: compilerOptions,
+    host,
+  });
+
+  const bySnippet = new Map(
+    snippets.map((snippet) => [snippet.fileName, snippet])
+  );
+
+  return ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+    const message = ts.flattenDiagnosticMessageText(
+      diagnostic.messageText,
+      "\n"
+    );
+    const snippet = diagnostic.file && bySnippet.get(diagnostic.file.fileName);
+
+    if (!snippet) {
+      const location = diagnostic.file
+        ? path.relative(rootDir, diagnostic.file.fileName)
+        : "tsconfig";
+      return { location, line: 0, column: 0, code: diagnostic.code, message };
+    }
+
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
+      diagnostic.start
+    );
+    // Errors in the preamble are reported on the opening fence
+    const markdownLine =
+      line < snippet.lineCount ? snippet.line + 1 + line : snippet.line;
+
+    return {
+      location: `docs/${snippet.file}:${markdownLine}:${character + 1}`,
+      file: snippet.file,
+      line: markdownLine,
+      column: character + 1,
+      code: diagnostic.code,
+      message,
+    };
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const config = loadDocsifyConfig();
+  const markers = loadMarkers(config);
+  const tools = createMarkdownTools(markers);
+
+  const files = args.length
+    ? args.map((file) =>
+        path.relative(docsDir, path.resolve(file)).split(path.sep).join("/")
+      )
+    : findMarkdownFiles();
+
+  const snippets = files.reduce((all, file) => {
+    const markdown = fs.readFileSync(path.join(docsDir, file), "utf8");
+    return all.concat(extractSnippets(file, markdown, tools, markers));
+  }, []);
+
+  const problems = checkSnippets(snippets).sort(
+    (a, b) =>
+      (a.file || "").localeCompare(b.file || "") ||
+      a.line - b.line ||
+      a.column - b.column
+  );
+
+  problems.forEach((problem) => {
+    console.log(
+      `${problem.location} error TS${problem.code}: ${problem.message}`
+    );
+  });
+
+  console.log(
+    `\n${snippets.length} snippets checked: ${problems.length} error(s)`
+  );
+
+  if (problems.length) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { extractSnippets, buildSource, checkSnippets };
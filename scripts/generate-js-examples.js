@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Generates docs/assets/js-examples.json, the JavaScript version of every
+// TypeScript code block in the docs, for the TS/JS toggle (code-flavor.js).
+// Each block is keyed by its code as the site shows it: without its
+// framework marker, file marker and line annotations. Blocks that cannot be
+// written without TypeScript map to null.
+//
+// Usage: node scripts/generate-js-examples.js [--check]
+//   --check   write nothing; fail if the file is missing or differs from
+//             what would be written
+const fs = require("fs");
+const path = require("path");
+
+const {
+  annotationPattern,
+  findFileMarker,
+} = require("../docs/assets/framework-markers");
+const { parseBlocks } = require("../docs/assets/framework-markdown");
+const {
+  rootDir,
+  docsDir,
+  loadMarkers,
+  findMarkdownFiles,
+} = require("./lib/docsify-config");
+const { stripTypes } = require("./lib/strip-types");
+
+const outputFile = path.join(docsDir, "assets", "js-examples.json");
+
+// Fence languages that get a JavaScript version (code-flavor.js LANGUAGES)
+const languages = ["ts", "typescript", "tsx"];
+
+// The block's code as the code fences plugin and the switcher render it
+function getShownCode(markers, content) {
+  const lines = content.split("\n");
+  const marker = markers.findMarker(lines);
+  const markerIndex = marker ? marker.index : -1;
+  const fileMarker = findFileMarker(lines, markerIndex);
+
+  return lines
+    .filter(
+      (line, i) => i !== markerIndex && !(fileMarker && i === fileMarker.index)
+    )
+    .map((line) => {
+      while (annotationPattern.test(line)) {
+        line = line.replace(annotationPattern, "");
+      }
+      return line;
+    })
+    .join("\n");
+}
+
+function main() {
+  const check = process.argv.slice(2).includes("--check");
+  const markers = loadMarkers();
+  const examples = {};
+
+  findMarkdownFiles().forEach((file) => {
+    const markdown = fs.readFileSync(path.join(docsDir, file), "utf8");
+    parseBlocks(markdown).forEach((block) => {
+      if (block.type !== "code") return;
+      const language = block.lang.toLowerCase();
+      if (!languages.includes(language)) return;
+
+      const code = getShownCode(markers, block.content);
+      if (code in examples) return;
+      examples[code] = stripTypes(code, { jsx: language === "tsx" });
+    });
+  });
+
+  const output = `${JSON.stringify(examples, null, 2)}\n`;
+  const display = path.relative(rootDir, outputFile);
+
+  if (check) {
+    if (
+      !fs.existsSync(outputFile) ||
+      fs.readFileSync(outputFile, "utf8") !== output
+    ) {
+      console.log(`${display} is out of date`);
+      console.log("\nRun `npm run build:js-examples` to regenerate it.");
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  fs.writeFileSync(outputFile, output);
+  console.log(`Wrote ${display}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { getShownCode };
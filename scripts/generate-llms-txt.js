@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+// Generates llms.txt and llms-full.txt from the pages in docs/_sidebar.md, in
+// sidebar order. llms.txt lists every page under its sidebar section with a
+// summary taken from the page's first paragraph; llms-full.txt has all pages
+// in full.
+//
+// Usage: node scripts/generate-llms-txt.js [options]
+//   --out <dir>            where to write the files (default: the site root)
+//   --base-url <url>       the docs' public URL (default: from CNAME)
+//   --frameworks <names>   also write llms-full.<name>.txt for each stack in a
+//                          comma separated list, e.g. express-react,koa-vue
+//   --all-frameworks       also write one for every server and client pair
+//   --check                write nothing; fail if the files are missing or
+//                          differ from what would be written
+//
+// The per-stack files keep only the snippets and prose the framework switcher
+// would show for that stack. Markers left in them, e.g. by a code block that
+// swallows the next one, are reported as warnings.
+const fs = require("fs");
+const path = require("path");
+
+const {
+  createMarkdownTools,
+  parseBlocks,
+  rewriteLinks,
+} = require("../docs/assets/framework-markdown");
+const {
+  rootDir,
+  docsDir,
+  loadDocsifyConfig,
+  loadMarkers,
+} = require("./lib/docsify-config");
+
+// Axes a stack picks a framework for, in file name order
+const stackAxes = ["server", "client"];
+
+function parseArgs(argv) {
+  const options = {
+    out: rootDir,
+    baseUrl: null,
+    frameworks: [],
+    allFrameworks: false,
+    check: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--out") options.out = argv[++i];
+    else if (arg === "--base-url") options.baseUrl = argv[++i];
+    else if (arg === "--frameworks") {
+      options.frameworks.push(...argv[++i].split(",").filter(Boolean));
+    } else if (arg === "--all-frameworks") options.allFrameworks = true;
+    else if (arg === "--check") options.check = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+function getDefaultBaseUrl() {
+  const cnameFile = path.join(rootDir, "CNAME");
+  if (!fs.existsSync(cnameFile)) {
+    throw new Error("No CNAME file found: pass --base-url");
+  }
+  return `https://${fs.readFileSync(cnameFile, "utf8").trim()}/docs/`;
+}
+
+// Sidebar items without a link start a section; linked items are pages of
+// the current section, or of none before the first section
+function parseSidebar(markdown) {
+  const sections = [{ name: null, pages: [] }];
+
+  markdown.split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s*[-*+]\s+(.*)$/);
+    if (!item) return;
+
+    const link = item[1].match(/^\[([^\]]+)\]\(([^)\s]+)\)/);
+    if (link) {
+      sections[sections.length - 1].pages.push({
+        title: link[1],
+        route: link[2],
+      });
+    } else {
+      sections.push({ name: item[1].trim(), pages: [] });
+    }
+  });
+
+  return sections.filter((section) => section.pages.length);
+}
+
+// Sidebar routes to files under docs/: / is README.md, /forms is forms.md
+function getPageFile(route) {
+  const file = route.replace(/^\//, "").replace(/(^|\/)$/, "$1README.md");
+  return /\.md$/.test(file) ? file : `${file}.md`;
+}
+
+// The first sentence of the first paragraph after the title, as plain text
+function getSummary(markdown) {
+  const paragraph = parseBlocks(markdown).find(
+    (block) =>
+      block.type === "paragraph" &&
+      !/^\s*(?:#|<|[-*+>|]\s|\d+\.\s|!\[)/.test(block.text)
+  );
+  if (!paragraph) return "";
+
+  return paragraph.text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(/(?<=[.!?])\s+(?=[A-Z])/)[0];
+}
+
+// Link targets as seen from `file`: pages go to the site, other files to
+// where they are served next to the markdown
+function createLinkResolver(baseUrl, file) {
+  const pageRoute = `/${file
+    .replace(/\.md$/, "")
+    .replace(/(^|\/)README$/, "$1")}`;
+
+  return (href) => {
+    if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return href;
+
+    const [target, anchor] = href.split("#");
+    const query = anchor ? `?id=${encodeURIComponent(anchor)}` : "";
+    if (!target) return `${baseUrl}#${pageRoute}${query}`;
+
+    const route = new URL(target, `http://docs/${file}`).pathname;
+    if (/\.md$/.test(route) || !/\.\w+$/.test(route)) {
+      const page = route.replace(/\.md$/, "").replace(/(^|\/)README$/, "$1");
+      return `${baseUrl}#${page}${query}`;
+    }
+    return new URL(route.slice(1), baseUrl).href;
+  };
+}
+
+// The page as written, with absolute links
+function exportPage(markdown, resolveLink) {
+  const lines = markdown.split(/\r?\n/);
+  parseBlocks(markdown).forEach((block) => {
+    if (block.type === "code") return;
+    for (let line = block.line; line <= block.endLine; line++) {
+      lines[line - 1] = rewriteLinks(lines[line - 1], resolveLink);
+    }
+  });
+  return lines.join("\n").trim() + "\n";
+}
+
+function formatIndex(config, sections, baseUrl) {
+  const lines = [`# ${config.name}`, "", `> ${config.description}`, ""];
+
+  sections.forEach((section) => {
+    if (section.name) lines.push(`## ${section.name}`, "");
+    section.pages.forEach((page) => {
+      const url = new URL(page.file, baseUrl).href;
+      const summary = page.summary ? `: ${page.summary}` : "";
+      lines.push(`- [${page.title}](${url})${summary}`);
+    });
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+function formatFull(config, pages, render) {
+  const header = `# ${config.name}\n\n> ${config.description}\n`;
+  return [header, ...pages.map(render)].join("\n---\n\n");
+}
+
+// Framework markers and prose container comments, known frameworks or not
+const leftoverMarkerPattern =
+  /^\s*(?:\/\/|#|<!--)\s*(?:framework:\s*[\w-]+|\/\s*framework\b)/i;
+
+// Lines of an export that still carry a marker the filter should have removed
+function findLeftoverMarkers(markdown) {
+  return markdown
+    .split("\n")
+    .filter((line) => leftoverMarkerPattern.test(line))
+    .map((line) => line.trim());
+}
+
+// Stacks from names such as express-react, each naming one framework per axis
+function parseStack(markers, name) {
+  const selection = {};
+
+  name.split("-").forEach((part) => {
+    const framework = markers.normalize(part);
+    const axis = framework && markers.frameworkAxis[framework];
+    if (!stackAxes.includes(axis)) {
+      throw new Error(`Unknown framework "${part}" in stack "${name}"`);
+    }
+    if (selection[axis]) {
+      throw new Error(`Stack "${name}" has more than one ${axis} framework`);
+    }
+    selection[axis] = framework;
+  });
+
+  return {
+    name: stackAxes
+      .filter((axis) => selection[axis])
+      .map((axis) => selection[axis])
+      .join("-"),
+    selection,
+  };
+}
+
+// Every server and client pair, leaving out family parents such as svelte,
+// which are only reached through their children
+function getAllStacks(markers) {
+  const parents = Object.values(markers.families);
+  const [servers, clients] = stackAxes.map((axisName) =>
+    markers.axes
+      .find((axis) => axis.name === axisName)
+      .frameworks.filter((fw) => !parents.includes(fw))
+  );
+
+  return servers.flatMap((server) =>
+    clients.map((client) => ({
+      name: `${server}-${client}`,
+      selection: { server, client },
+    }))
+  );
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = loadDocsifyConfig();
+  const markers = loadMarkers(config);
+  const tools = createMarkdownTools(markers);
+  const baseUrl = (options.baseUrl || getDefaultBaseUrl()).replace(/\/?$/, "/");
+
+  const sections = parseSidebar(
+    fs.readFileSync(path.join(docsDir, "_sidebar.md"), "utf8")
+  );
+  const pages = sections.flatMap((section) => section.pages);
+
+  pages.forEach((page) => {
+    page.file = getPageFile(page.route);
+    page.source = fs.readFileSync(path.join(docsDir, page.file), "utf8");
+    page.summary = getSummary(page.source);
+    page.resolveLink = createLinkResolver(baseUrl, page.file);
+  });
+
+  const stacks = options.allFrameworks
+    ? getAllStacks(markers)
+    : options.frameworks.map((name) => parseStack(markers, name));
+
+  // File names and the content each should have
+  const outputs = {
+    "llms.txt": formatIndex(config, sections, baseUrl),
+    "llms-full.txt": formatFull(config, pages, (page) =>
+      exportPage(page.source, page.resolveLink)
+    ),
+  };
+
+  stacks.forEach((stack) => {
+    outputs[`llms-full.${stack.name}.txt`] = formatFull(
+      config,
+      pages,
+      (page) => {
+        const markdown = tools.filterMarkdown(page.source, stack.selection, {
+          resolveLink: page.resolveLink,
+        });
+        findLeftoverMarkers(markdown).forEach((line) => {
+          console.warn(
+            `docs/${page.file} warning: ${line} left in the ${stack.name} export`
+          );
+        });
+        return markdown;
+      }
+    );
+  });
+
+  const display = (name) =>
+    path.relative(rootDir, path.join(options.out, name));
+
+  if (options.check) {
+    const stale = Object.keys(outputs).filter((name) => {
+      const file = path.join(options.out, name);
+      return (
+        !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== outputs[name]
+      );
+    });
+
+    stale.forEach((name) => {
+      console.log(`${display(name)} is out of date`);
+    });
+    if (stale.length) {
+      console.log("\nRun `npm run build:llms` to regenerate it.");
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  fs.mkdirSync(options.out, { recursive: true });
+  Object.keys(outputs).forEach((name) => {
+    fs.writeFileSync(path.join(options.out, name), outputs[name]);
+    console.log(`Wrote ${display(name)}`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = {
+  parseSidebar,
+  getSummary,
+  findLeftoverMarkers,
+  parseStack,
+  getAllStacks,
+};
@@ -0,0 +1,61 @@
+// Loads the docsify configuration from docs/index.html, so the scripts use
+// the same frameworks, aliases and families as the site
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { createMarkers } = require("../../docs/assets/framework-markers");
+
+const rootDir = path.resolve(__dirname, "../..");
+const docsDir = path.join(rootDir, "docs");
+
+function loadDocsifyConfig(indexFile = path.join(docsDir, "index.html")) {
+  const html = fs.readFileSync(indexFile, "utf8");
+  const scripts = html.match(/<script>[\s\S]*?<\/script>/g) || [];
+  const configScript = scripts.find((script) =>
+    script.includes("window.$docsify")
+  );
+
+  if (!configScript) {
+    throw new Error(`No window.$docsify configuration found in ${indexFile}`);
+  }
+
+  const context = { window: {} };
+  vm.runInNewContext(configScript.replace(/<\/?script>/g, ""), context, {
+    filename: indexFile,
+  });
+  return context.window.$docsify;
+}
+
+function loadMarkers(config = loadDocsifyConfig()) {
+  return createMarkers(config.frameworkSwitcher || {});
+}
+
+// All markdown files under a directory, sorted, as paths relative to it
+function findMarkdownFiles(dir = docsDir) {
+  const files = [];
+
+  function walk(current) {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== "node_modules" && !entry.name.startsWith(".")) {
+          walk(fullPath);
+        }
+      } else if (entry.name.endsWith(".md")) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join("/"));
+      }
+    });
+  }
+
+  walk(dir);
+  return files.sort();
+}
+
+module.exports = {
+  rootDir,
+  docsDir,
+  loadDocsifyConfig,
+  loadMarkers,
+  findMarkdownFiles,
+};
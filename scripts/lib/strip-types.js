@@ -0,0 +1,306 @@
+// Turns TypeScript examples into JavaScript by removing their type syntax and
+// leaving everything else (formatting, comments, decorators) as written. Used
+// by scripts/generate-js-examples.js, so readers get the JavaScript flavor
+// without downloading the compiler.
+const ts = require("typescript");
+
+// Returns the JavaScript version of `code`, or null when it cannot be
+// written without TypeScript (enums, namespaces, parameter properties, ...)
+// or does not parse
+function stripTypes(code, { jsx = false } = {}) {
+  const sourceFile = ts.createSourceFile(
+    jsx ? "example.tsx" : "example.ts",
+    code,
+    ts.ScriptTarget.Latest,
+    true,
+    jsx ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+  );
+
+  if (sourceFile.parseDiagnostics && sourceFile.parseDiagnostics.length) {
+    return null;
+  }
+
+  const removals = [];
+  const usedNames = new Set();
+  let supported = true;
+
+  const remove = (start, end) => removals.push([start, end]);
+  const removeNode = (node) => remove(node.getStart(sourceFile), node.end);
+  const hasModifier = (node, kind) =>
+    Boolean(node.modifiers && node.modifiers.some((m) => m.kind === kind));
+
+  // `: Type` annotations, from the colon to the end of the type
+  function removeAnnotation(type) {
+    const colon = code.lastIndexOf(":", type.getStart(sourceFile));
+    remove(colon, type.end);
+  }
+
+  // `<...>` lists of type arguments or parameters
+  function removeTypeList(list) {
+    const open = code.lastIndexOf("<", list.pos);
+    const close = code.indexOf(">", list.end);
+    remove(open, close + 1);
+  }
+
+  // A modifier keyword and the whitespace after it
+  function removeModifier(modifier) {
+    let end = modifier.end;
+    while (/\s/.test(code[end] || "")) end++;
+    remove(modifier.getStart(sourceFile), end);
+  }
+
+  // Elements of a comma separated list, with the commas between them
+  function removeListElements(list, elements) {
+    let index = 0;
+    while (index < list.length) {
+      if (!elements.includes(list[index])) {
+        index++;
+        continue;
+      }
+
+      // A run of removed elements
+      const first = index;
+      while (index < list.length && elements.includes(list[index])) index++;
+      const last = index - 1;
+
+      if (index < list.length) {
+        remove(
+          list[first].getStart(sourceFile),
+          list[index].getStart(sourceFile)
+        );
+      } else if (first > 0) {
+        remove(list[first - 1].end, list[last].end);
+      } else {
+        remove(list[first].getStart(sourceFile), list[last].end);
+      }
+    }
+  }
+
+  const typeOnlyModifiers = [
+    ts.SyntaxKind.PublicKeyword,
+    ts.SyntaxKind.PrivateKeyword,
+    ts.SyntaxKind.ProtectedKeyword,
+    ts.SyntaxKind.ReadonlyKeyword,
+    ts.SyntaxKind.OverrideKeyword,
+  ];
+
+  // Imports are handled once every value use of a name is known
+  const imports = [];
+
+  function visit(node) {
+    if (!supported) return;
+
+    switch (node.kind) {
+      case ts.SyntaxKind.InterfaceDeclaration:
+      case ts.SyntaxKind.TypeAliasDeclaration:
+      case ts.SyntaxKind.IndexSignature:
+        removeNode(node);
+        return;
+      case ts.SyntaxKind.EnumDeclaration:
+      case ts.SyntaxKind.ModuleDeclaration:
+      case ts.SyntaxKind.ImportEqualsDeclaration:
+      case ts.SyntaxKind.ExportAssignment:
+        if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) {
+          removeNode(node);
+        } else if (
+          node.kind === ts.SyntaxKind.ExportAssignment &&
+          !node.isExportEquals
+        ) {
+          break;
+        } else {
+          supported = false;
+        }
+        return;
+      case ts.SyntaxKind.ImportDeclaration:
+        imports.push(node);
+        return;
+      case ts.SyntaxKind.ExportDeclaration:
+        if (node.isTypeOnly) {
+          removeNode(node);
+          return;
+        }
+        if (node.exportClause && node.exportClause.elements) {
+          removeListElements(
+            node.exportClause.elements,
+            node.exportClause.elements.filter((element) => element.isTypeOnly)
+          );
+        }
+        break;
+      case ts.SyntaxKind.AsExpression:
+      case ts.SyntaxKind.SatisfiesExpression:
+      case ts.SyntaxKind.NonNullExpression:
+        remove(node.expression.end, node.end);
+        visit(node.expression);
+        return;
+      case ts.SyntaxKind.TypeAssertionExpression:
+        remove(node.getStart(sourceFile), node.expression.getStart(sourceFile));
+        visit(node.expression);
+        return;
+      case ts.SyntaxKind.HeritageClause:
+        if (node.token === ts.SyntaxKind.ImplementsKeyword) {
+          remove(code.lastIndexOf(" ", node.getStart(sourceFile)), node.end);
+        } else {
+          node.types.forEach((type) => {
+            if (type.typeArguments) removeTypeList(type.typeArguments);
+            visit(type.expression);
+          });
+        }
+        return;
+      case ts.SyntaxKind.FunctionDeclaration:
+      case ts.SyntaxKind.MethodDeclaration:
+      case ts.SyntaxKind.Constructor:
+        // Overload signatures have no body
+        if (!node.body) {
+          removeNode(node);
+          return;
+        }
+        break;
+      case ts.SyntaxKind.ClassDeclaration:
+      case ts.SyntaxKind.ClassExpression:
+        if (hasModifier(node, ts.SyntaxKind.AbstractKeyword)) {
+          supported = false;
+          return;
+        }
+        break;
+      case ts.SyntaxKind.PropertyDeclaration:
+        if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) {
+          removeNode(node);
+          return;
+        }
+        break;
+      case ts.SyntaxKind.Parameter:
+        if (
+          node.modifiers &&
+          node.modifiers.some((m) => typeOnlyModifiers.includes(m.kind))
+        ) {
+          supported = false;
+          return;
+        }
+        if (ts.isIdentifier(node.name) && node.name.text === "this") {
+          removeListElements(node.parent.parameters, [node]);
+          return;
+        }
+        break;
+      case ts.SyntaxKind.Identifier:
+        usedNames.add(node.text);
+        return;
+    }
+
+    if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) {
+      removeNode(node);
+      return;
+    }
+
+    if (node.modifiers) {
+      node.modifiers
+        .filter((m) => typeOnlyModifiers.includes(m.kind))
+        .forEach(removeModifier);
+    }
+    if (node.type) removeAnnotation(node.type);
+    if (node.typeParameters) removeTypeList(node.typeParameters);
+    if (node.typeArguments) removeTypeList(node.typeArguments);
+    // Optional parameters and members, not the conditional operator
+    if (
+      node.questionToken &&
+      (ts.isParameter(node) ||
+        ts.isPropertyDeclaration(node) ||
+        ts.isMethodDeclaration(node))
+    ) {
+      removeNode(node.questionToken);
+    }
+    if (node.exclamationToken) removeNode(node.exclamationToken);
+
+    ts.forEachChild(node, (child) => {
+      // Types are removed whole, so their names do not count as uses
+      if (child === node.type || ts.isTypeNode(child)) return;
+      if (node.typeParameters && node.typeParameters.includes(child)) return;
+      if (node.typeArguments && node.typeArguments.includes(child)) return;
+      visit(child);
+    });
+  }
+
+  ts.forEachChild(sourceFile, visit);
+  if (!supported) return null;
+
+  // Like the compiler, drop imports that are only used as types
+  imports.forEach((node) => {
+    const clause = node.importClause;
+    if (!clause) return;
+    if (clause.isTypeOnly) {
+      removeNode(node);
+      return;
+    }
+
+    const isUsed = (name) => usedNames.has(name.text);
+    const bindings = clause.namedBindings;
+    const named =
+      bindings && ts.isNamedImports(bindings) ? bindings.elements : [];
+    const unused = named.filter(
+      (element) => element.isTypeOnly || !isUsed(element.name)
+    );
+    const keepDefault = clause.name && isUsed(clause.name);
+    const keepNamespace =
+      bindings && ts.isNamespaceImport(bindings) && isUsed(bindings.name);
+    const keepNamed = named.length > unused.length;
+
+    if (!keepDefault && !keepNamespace && !keepNamed) {
+      removeNode(node);
+    } else if (keepNamed) {
+      removeListElements(named, unused);
+      if (clause.name && !keepDefault) {
+        remove(clause.name.getStart(sourceFile), bindings.getStart(sourceFile));
+      }
+    } else if (clause.name && bindings) {
+      // Only the default import is left
+      remove(clause.name.end, bindings.end);
+    }
+  });
+
+  return applyRemovals(code, removals);
+}
+
+// Removes the ranges from the code, then tidies the lines the removals
+// touched: lines left empty are dropped, so declarations do not leave gaps
+// behind, and trailing whitespace is trimmed. Other lines stay as written.
+function applyRemovals(code, removals) {
+  const sorted = removals
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let output = "";
+  let position = 0;
+  const touchedLines = new Set();
+
+  sorted.forEach(([start, end]) => {
+    if (end <= position) return;
+    start = Math.max(start, position);
+    output += code.slice(position, start);
+    touchedLines.add(output.split("\n").length - 1);
+    position = end;
+  });
+  output += code.slice(position);
+
+  const result = [];
+  // Whether a line was dropped since the last line kept
+  let dropped = false;
+
+  output.split("\n").forEach((line, index) => {
+    if (!touchedLines.has(index)) {
+      // A dropped declaration at the top, or between two blank lines, leaves
+      // a blank line that is no longer needed
+      const previous = result.length ? result[result.length - 1] : "";
+      if (dropped && !line.trim() && !previous.trim()) return;
+      result.push(line);
+      dropped = false;
+    } else if (line.trim()) {
+      result.push(line.replace(/\s+$/, ""));
+      dropped = false;
+    } else {
+      dropped = true;
+    }
+  });
+
+  return result.join("\n");
+}
+
+module.exports = { stripTypes };
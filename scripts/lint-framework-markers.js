@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// Checks the framework markers in the docs and reports, per page, which
+// frameworks every code group covers.
+//
+// Usage: node scripts/lint-framework-markers.js [options] [files...]
+//   --json <file>      write the coverage report as JSON
+//   --markdown <file>  write the coverage report as a markdown table
+//   --strict           exit with an error on warnings as well
+//
+// Errors: unknown framework markers or labels, unbalanced prose containers.
+// Warnings: single-block groups, duplicate variants, missing variants.
+const fs = require("fs");
+const path = require("path");
+
+const { createMarkdownTools } = require("../docs/assets/framework-markdown");
+const {
+  docsDir,
+  loadMarkers,
+  findMarkdownFiles,
+} = require("./lib/docsify-config");
+
+// Matches anything that looks like a marker, known framework or not
+const looseMarkerPattern =
+  /^\s*(?:\/\/\s*|#\s*|<!--\s*)?framework:\s*([\w-]+)/i;
+const fenceLinePattern = /^\s*(?:`{3,}|~{3,})/;
+const looseProsePattern = /^\s*\/?\s*framework\b/i;
+
+function parseArgs(argv) {
+  const options = { files: [], json: null, markdown: null, strict: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") options.json = argv[++i];
+    else if (arg === "--markdown") options.markdown = argv[++i];
+    else if (arg === "--strict") options.strict = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+    else options.files.push(arg);
+  }
+
+  return options;
+}
+
+// Frameworks every group should cover: leaves of each axis, since a family
+// parent (e.g. svelte) is only reached through its children
+function getRequiredFrameworks(markers, axisName) {
+  const axis = markers.axes.find((a) => a.name === axisName);
+  const parents = Object.values(markers.families);
+  return axis.frameworks.filter((fw) => !parents.includes(fw));
+}
+
+// How a group serves a framework: "present", "fallback" (a family member is
+// shown instead) or "missing" (the first variant is shown instead)
+function getCoverage(markers, framework, available) {
+  if (available.includes(framework)) return "present";
+  const fallback = markers
+    .getFallbacks(framework)
+    .find((fw) => available.includes(fw));
+  return fallback ? "fallback" : "missing";
+}
+
+function lintFile(file, markdown, markers, tools) {
+  const problems = [];
+  const report = (severity, line, message) =>
+    problems.push({ file, line, severity, message });
+
+  const blocks = tools.parseBlocks(markdown);
+  // Open prose containers, innermost last: they may nest
+  const openContainers = [];
+
+  blocks.forEach((block) => {
+    if (block.type === "code") {
+      const lines = block.content.split("\n");
+      const found = markers.findMarker(lines);
+
+      lines.slice(0, markers.maxLinesToCheck).forEach((text, i) => {
+        const match = text.match(looseMarkerPattern);
+        if (
+          match &&
+          !markers.normalize(match[1]) &&
+          !(found && found.index === i)
+        ) {
+          report(
+            "error",
+            block.line + 1 + i,
+            `Unknown framework marker "${match[1]}"`
+          );
+        }
+      });
+    }
+
+    // A marker such as <!-- framework: vue --> inside a commented-out code
+    // block ends the outer comment early
+    if (block.type === "comment") {
+      const fences = block.text
+        .split("\n")
+        .filter((text) => fenceLinePattern.test(text)).length;
+      if (fences % 2) {
+        report(
+          "error",
+          block.line,
+          `HTML comment ends inside a code block on line ${block.endLine}`
+        );
+      }
+    }
+
+    if (block.type === "comment" && looseProsePattern.test(block.text)) {
+      const marker = markers.parseProseMarker(block.text);
+
+      if (!marker) {
+        report(
+          "error",
+          block.line,
+          `Unknown prose marker "${block.text.trim()}"`
+        );
+        return;
+      }
+
+      if (marker.type === "open") {
+        const names = block.text.replace(/^\s*framework:/i, "").split(",");
+        names
+          .map((name) => name.trim())
+          .filter((name) => name && !markers.normalize(name))
+          .forEach((name) => {
+            report(
+              "error",
+              block.line,
+              `Unknown framework "${name}" in prose marker`
+            );
+          });
+
+        openContainers.push(block);
+      } else if (!openContainers.length) {
+        report(
+          "error",
+          block.line,
+          "Prose container closed without being opened"
+        );
+      } else {
+        openContainers.pop();
+      }
+    }
+  });
+
+  openContainers.forEach((container) => {
+    report("error", container.line, "Prose container is never closed");
+  });
+
+  const groups = tools.findGroups(blocks).map((group) => {
+    const available = group.blocks.map((entry) => entry.framework);
+    const required = getRequiredFrameworks(markers, group.axis);
+
+    if (group.blocks.length === 1) {
+      report(
+        "warning",
+        group.line,
+        `Orphaned ${markers.formatName(
+          available[0]
+        )} block: no other variants next to it`
+      );
+    }
+
+    available
+      .filter((fw, i) => available.indexOf(fw) !== i)
+      .forEach((fw) => {
+        report(
+          "warning",
+          group.line,
+          `Group has more than one ${markers.formatName(fw)} block`
+        );
+      });
+
+    const coverage = {};
+    required.forEach((fw) => {
+      coverage[fw] = getCoverage(markers, fw, available);
+    });
+
+    const missing = required.filter((fw) => coverage[fw] === "missing");
+    if (group.blocks.length > 1 && missing.length) {
+      report(
+        "warning",
+        group.line,
+        `Group is missing ${missing.map(markers.formatName).join(", ")}`
+      );
+    }
+
+    return {
+      line: group.line,
+      axis: group.axis,
+      frameworks: available,
+      coverage,
+    };
+  });
+
+  return { problems, groups };
+}
+
+// Per page and axis: how many groups each framework is present in, falls
+// back in, or is missing from
+function summarize(file, groups, markers) {
+  const axes = {};
+
+  groups.forEach((group) => {
+    if (!axes[group.axis]) {
+      axes[group.axis] = { groups: 0, frameworks: {} };
+      getRequiredFrameworks(markers, group.axis).forEach((fw) => {
+        axes[group.axis].frameworks[fw] = {
+          present: 0,
+          fallback: 0,
+          missing: 0,
+        };
+      });
+    }
+
+    const axis = axes[group.axis];
+    axis.groups++;
+    Object.keys(group.coverage).forEach((fw) => {
+      axis.frameworks[fw][group.coverage[fw]]++;
+    });
+  });
+
+  return { file, axes, groups };
+}
+
+function formatMarkdownReport(pages, markers) {
+  const lines = ["# Framework coverage", ""];
+
+  markers.axes.forEach((axis) => {
+    const required = getRequiredFrameworks(markers, axis.name);
+    const rows = pages.filter((page) => page.axes[axis.name]);
+    if (!rows.length) return;
+
+    lines.push(
+      `## ${axis.name.charAt(0).toUpperCase() + axis.name.slice(1)}`,
+      ""
+    );
+    lines.push(
+      `| Page | Groups | ${required.map(markers.formatName).join(" | ")} |`,
+      `| --- | ---: | ${required.map(() => "---").join(" | ")} |`
+    );
+
+    rows.forEach((page) => {
+      const axisReport = page.axes[axis.name];
+      const cells = required.map((fw) => {
+        const counts = axisReport.frameworks[fw];
+        if (counts.missing) return `⚠️ ${counts.missing} missing`;
+        if (counts.fallback) return `↪ ${counts.fallback} fallback`;
+        return "✅";
+      });
+      lines.push(
+        `| ${page.file} | ${axisReport.groups} | ${cells.join(" | ")} |`
+      );
+    });
+
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const markers = loadMarkers();
+  const tools = createMarkdownTools(markers);
+
+  const files = options.files.length
+    ? options.files.map((file) =>
+        path.relative(docsDir, path.resolve(file)).split(path.sep).join("/")
+      )
+    : findMarkdownFiles();
+
+  const problems = [];
+  const pages = files.map((file) => {
+    const markdown = fs.readFileSync(path.join(docsDir, file), "utf8");
+    const result = lintFile(file, markdown, markers, tools);
+    problems.push(...result.problems);
+    return summarize(file, result.groups, markers);
+  });
+
+  problems.forEach((problem) => {
+    console.log(
+      `docs/${problem.file}:${problem.line} ${problem.severity}: ${problem.message}`
+    );
+  });
+
+  const errors = problems.filter((p) => p.severity === "error").length;
+  const warnings = problems.length - errors;
+  console.log(
+    `\n${files.length} files checked: ${errors} error(s), ${warnings} warning(s)`
+  );
+
+  if (options.json) {
+    fs.writeFileSync(
+      options.json,
+      JSON.stringify({ pages, problems }, null, 2) + "\n"
+    );
+  }
+  if (options.markdown) {
+    fs.writeFileSync(options.markdown, formatMarkdownReport(pages, markers));
+  }
+
+  if (errors || (options.strict && warnings)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { lintFile, getCoverage, getRequiredFrameworks };
@@ -0,0 +1,114 @@
+// The parts of Express the docs use, with the Inertia adapter installed
+
+declare module "express" {
+  import type { InertiaResponse } from "@inertianode/core";
+
+  // Session, passport, csurf and multer all add to the request
+  export interface Request {
+    body: any;
+    params: Record<string, string>;
+    query: Record<string, any>;
+    path: string;
+    url: string;
+    originalUrl: string;
+    method: string;
+    headers: Record<string, string | string[] | undefined>;
+    header(name: string): string | undefined;
+    get(name: string): string | undefined;
+    [key: string]: any;
+  }
+
+  export interface Response {
+    Inertia: InertiaResponse;
+    locals: Record<string, any>;
+    headersSent: boolean;
+    statusCode: number;
+    status(code: number): Response;
+    sendStatus(code: number): Response;
+    set(field: string, value?: string): Response;
+    setHeader(name: string, value: string | string[]): Response;
+    header(field: string, value?: string): Response;
+    cookie(name: string, value: string, options?: any): Response;
+    clearCookie(name: string, options?: any): Response;
+    json(body?: unknown): Response;
+    send(body?: unknown): Response;
+    sendFile(path: string, options?: any): void;
+    redirect(url: string): void;
+    redirect(status: number, url: string): void;
+    render(view: string, locals?: any): void;
+    end(): Response;
+  }
+
+  export type NextFunction = (error?: any) => void;
+  export type RequestHandler = (
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) => any;
+  export type ErrorRequestHandler = (
+    error: any,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) => any;
+
+  type Path = string | RegExp | Array<string | RegExp>;
+
+  type Route<T> = {
+    (path: Path, ...handlers: RequestHandler[]): T;
+    (...handlers: RequestHandler[]): T;
+  };
+
+  // Error handlers and routers can only be mounted with use()
+  type Use<T> = Route<T> & {
+    (path: Path, ...handlers: ErrorRequestHandler[]): T;
+    (...handlers: ErrorRequestHandler[]): T;
+    (path: Path, router: Router): T;
+    (router: Router): T;
+  };
+
+  export interface Router {
+    get: Route<this>;
+    post: Route<this>;
+    put: Route<this>;
+    patch: Route<this>;
+    delete: Route<this>;
+    all: Route<this>;
+    use: Use<this>;
+  }
+
+  export interface Express extends Router {
+    (req: any, res: any, next?: any): void;
+    listen(port: number | string, callback?: () => void): any;
+    set(setting: string, value: unknown): this;
+    locals: Record<string, any>;
+  }
+
+  interface ExpressStatic {
+    (): Express;
+    Router(): Router;
+    json(options?: any): RequestHandler;
+    urlencoded(options?: any): RequestHandler;
+    static(root: string, options?: any): RequestHandler;
+  }
+
+  const express: ExpressStatic;
+  export const Router: () => Router;
+  export default express;
+}
+
+// Added by multer
+declare namespace Express {
+  namespace Multer {
+    interface File {
+      fieldname: string;
+      originalname: string;
+      mimetype: string;
+      size: number;
+      destination: string;
+      filename: string;
+      path: string;
+      buffer: Uint8Array;
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// Modules without a stub of their own (client libraries, middleware, the
+// reader's own files) are typed as `any`
+declare module "*";
+
+// JSX elements are not checked beyond their syntax
+declare namespace JSX {
+  interface Element {}
+  interface IntrinsicElements {
+    [name: string]: any;
+  }
+}
+
+// Node.js and Vite globals used in server and client entry points
+declare var process: any;
+declare var __dirname: string;
+
+interface ImportMeta {
+  env: Record<string, any>;
+  glob(pattern: string | string[], options?: { eager?: boolean }): any;
+}
+
+// Inertia's router dispatches its events on the document as inertia:start,
+// inertia:progress, ...
+interface DocumentEventMap {
+  [name: `inertia:${string}`]: CustomEvent<any>;
+}
+
+// Stand-ins for the reader's application code
+declare const db: any;
+declare const analyticsService: any;
+declare const authService: any;
+declare const companyService: any;
+declare const eventService: any;
+declare const fileService: any;
+declare const orderService: any;
+declare const permissionService: any;
+declare const postService: any;
+declare const projectService: any;
+declare const roleService: any;
+declare const taskService: any;
+declare const teamService: any;
+declare const userService: any;
+declare const ChildComponent: any;
+declare const PermissionsChildComponent: any;
+declare const ProductsChildComponent: any;
+declare const UserProfileDto: any;
+declare function findOrCreateUser(...args: any[]): Promise<any>;
+declare function findUserById(id: unknown): Promise<any>;
+declare function validateCredentials(...args: any[]): Promise<any>;
+declare function validatePost(post: unknown): any;
+declare function validateUser(user: unknown): any;
+
+// A page of results from the reader's own pagination library
+interface PaginatedCollection {
+  previousPage: number | null;
+  nextPage: number | null;
+  currentPage: number | null;
+}
@@ -0,0 +1,74 @@
+// The parts of Hono the docs use, with the Inertia adapter installed
+
+declare module "hono" {
+  import type { InertiaResponse } from "@inertianode/core";
+
+  export type Next = () => Promise<void>;
+
+  export interface HonoRequest {
+    raw: Request;
+    url: string;
+    path: string;
+    method: string;
+    param(): Record<string, string>;
+    param(name: string): string;
+    query(): Record<string, string>;
+    query(name: string): string | undefined;
+    header(): Record<string, string>;
+    header(name: string): string | undefined;
+    json<T = any>(): Promise<T>;
+    text(): Promise<string>;
+    parseBody<T = any>(): Promise<T>;
+  }
+
+  export interface Context {
+    req: HonoRequest;
+    env: any;
+    var: any;
+    Inertia: InertiaResponse<Response>;
+    get(key: string): any;
+    set(key: string, value: unknown): void;
+    header(name: string, value: string): void;
+    status(status: number): void;
+    json(data: unknown, status?: number): Response;
+    text(text: string, status?: number): Response;
+    html(html: string, status?: number): Response;
+    body(data: unknown, status?: number): Response;
+    redirect(location: string, status?: number): Response;
+    notFound(): Response | Promise<Response>;
+  }
+
+  export type Handler = (c: Context, next: Next) => any;
+  export type MiddlewareHandler = (c: Context, next: Next) => Promise<any>;
+  export type ErrorHandler = (error: Error, c: Context) => any;
+
+  type Route = {
+    (path: string, ...handlers: Handler[]): Hono;
+    (...handlers: Handler[]): Hono;
+  };
+
+  export class Hono {
+    get: Route;
+    post: Route;
+    put: Route;
+    patch: Route;
+    delete: Route;
+    all: Route;
+    use: Route;
+    route(path: string, app: Hono): Hono;
+    onError(handler: ErrorHandler): Hono;
+    notFound(handler: (c: Context) => any): Hono;
+    fetch(request: Request, ...rest: any[]): Response | Promise<Response>;
+  }
+}
+
+declare module "hono/http-exception" {
+  export class HTTPException extends Error {
+    constructor(
+      status?: number,
+      options?: { message?: string; res?: Response }
+    );
+    status: number;
+    getResponse(): Response;
+  }
+}
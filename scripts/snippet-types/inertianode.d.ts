@@ -0,0 +1,163 @@
+// The @inertianode/* API as the docs describe it. Keep in step with the
+// adapter: a snippet that disagrees with these stubs fails the check.
+
+declare module "@inertianode/core" {
+  export type Props = Record<string, unknown>;
+
+  export interface Page {
+    component: string;
+    props: Props;
+    url: string;
+    version: string | null;
+    encryptHistory?: boolean;
+    clearHistory?: boolean;
+    mergeProps?: string[];
+    deepMergeProps?: string[];
+    deferredProps?: Record<string, string[]>;
+  }
+
+  export interface SsrResponse {
+    head: string[];
+    body: string;
+  }
+
+  export interface ViteOptions {
+    publicDirectory?: string;
+    buildDirectory?: string;
+    hotFile?: string;
+    manifestFilename?: string;
+    reactRefresh?: boolean;
+  }
+
+  export interface SsrOptions {
+    enabled?: boolean;
+    url?: string;
+  }
+
+  export interface AdapterOptions {
+    html?: (page: Page, viewData?: any) => string | Promise<string>;
+    version?: string | null | (() => string | null);
+    vite?: ViteOptions;
+    ssr?: SsrOptions;
+  }
+
+  export interface InertiaConfig {
+    ensurePagesExist?: boolean;
+  }
+
+  // The per-request Inertia object: c.Inertia (Hono), res.Inertia
+  // (Express), ctx.Inertia (Koa)
+  export interface InertiaResponse<Result = void> {
+    (component: string, props?: Props): Promise<Result>;
+    render(component: string, props?: Props): Promise<Result>;
+    share(key: string, value: unknown): void;
+    share(props: Props): void;
+    getShared(key?: string): any;
+    location(url: string): Promise<Result>;
+    back(fallbackUrl?: string): Promise<Result>;
+    encryptHistory(encrypt?: boolean): void;
+    clearHistory(): void;
+    setVersion(version: string | (() => string)): void;
+    resolveUrlUsing(resolver: () => string): void;
+  }
+
+  export const Inertia: {
+    setConfig(config: InertiaConfig): void;
+    setViteOptions(options: ViteOptions): void;
+    version(version: string | (() => string)): void;
+    share(key: string, value: unknown): void;
+    share(props: Props): void;
+    getShared(key?: string): any;
+    resolveUrlUsing(resolver: () => string): void;
+  };
+
+  export interface MergeProp {
+    prepend(): MergeProp;
+    append(): MergeProp;
+    matchOn(...keys: string[]): MergeProp;
+  }
+
+  export interface ScrollOptions {
+    wrapper?: string;
+    pageName?: string;
+    metadata?: any;
+  }
+
+  export function defer<T>(callback: () => T, group?: string): unknown;
+  export function optional<T>(callback: () => T): unknown;
+  export function always<T>(value: T | (() => T)): unknown;
+  export function merge<T>(value: T | (() => T)): MergeProp;
+  export function deepMerge<T>(value: T | (() => T)): MergeProp;
+  export function scroll<T>(
+    value: T | (() => T),
+    options?: ScrollOptions
+  ): unknown;
+
+  export function viteAssets(
+    entrypoints: string | string[],
+    options?: ViteOptions
+  ): string;
+  export function inertiaHead(ssrHead?: string[] | string): string;
+  export function inertiaBody(
+    page: Page,
+    ssrBody?: string,
+    appId?: string
+  ): string;
+
+  export const Vite: {
+    defaultOptions: ViteOptions;
+    isRunningHot(options?: ViteOptions): boolean;
+    hotUrl(options?: ViteOptions): string | null;
+    manifest(options?: ViteOptions): Record<string, any>;
+    asset(entrypoint: string, options?: ViteOptions): any;
+    makeTag(entrypoints: string | string[], options?: ViteOptions): string;
+    reactRefresh(options?: ViteOptions): string;
+    clearManifestCache(): void;
+  };
+}
+
+declare module "@inertianode/hono" {
+  import type { AdapterOptions } from "@inertianode/core";
+  import type { MiddlewareHandler } from "hono";
+
+  export * from "@inertianode/core";
+  export function inertiaHonoAdapter(
+    options?: AdapterOptions
+  ): MiddlewareHandler;
+}
+
+declare module "@inertianode/express" {
+  import type { AdapterOptions } from "@inertianode/core";
+  import type { RequestHandler } from "express";
+
+  export * from "@inertianode/core";
+  export function inertiaExpressAdapter(
+    options?: AdapterOptions
+  ): RequestHandler;
+}
+
+declare module "@inertianode/koa" {
+  import type { AdapterOptions } from "@inertianode/core";
+  import type { Middleware } from "koa";
+
+  export * from "@inertianode/core";
+  export function inertiaKoaAdapter(options?: AdapterOptions): Middleware;
+}
+
+declare module "@inertianode/nestjs" {
+  import type { AdapterOptions, InertiaResponse } from "@inertianode/core";
+  import type { Request, RequestHandler } from "express";
+
+  export * from "@inertianode/core";
+
+  // Injected with @Inert()
+  export interface Inertia extends InertiaResponse {
+    req?: Request;
+    redirect(url: string, status?: number): Promise<void>;
+  }
+
+  export function Inert(): ParameterDecorator;
+  export function inertiaNestJSAdapter(
+    options?: AdapterOptions
+  ): RequestHandler;
+}
@@ -0,0 +1,88 @@
+// The parts of Koa and @koa/router the docs use, with the Inertia adapter
+// installed
+
+declare module "koa" {
+  import type { InertiaResponse } from "@inertianode/core";
+
+  namespace Koa {
+    type Next = () => Promise<any>;
+    type Middleware = (ctx: Context, next: Next) => any;
+
+    interface Request {
+      body: any;
+      files?: any;
+      query: Record<string, any>;
+      headers: Record<string, string | string[] | undefined>;
+      path: string;
+      method: string;
+    }
+
+    interface Context {
+      Inertia: InertiaResponse;
+      app: Koa;
+      request: Request;
+      req: any;
+      res: any;
+      state: any;
+      params: Record<string, string>;
+      query: Record<string, any>;
+      querystring: string;
+      path: string;
+      url: string;
+      method: string;
+      headers: Record<string, string | string[] | undefined>;
+      status: number;
+      body: any;
+      type: string;
+      // Added by koa-session, koa-csrf and multer
+      session: any;
+      csrf: string;
+      file: any;
+      get(field: string): string;
+      set(field: string, value: string): void;
+      redirect(url: string): void;
+      throw(status: number, message?: string): never;
+      assert(value: unknown, status: number, message?: string): void;
+      cookies: {
+        get(name: string, options?: any): string | undefined;
+        set(name: string, value?: string | null, options?: any): void;
+      };
+    }
+  }
+
+  class Koa {
+    keys: string[];
+    context: Koa.Context;
+    use(middleware: Koa.Middleware): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    listen(port?: number | string, callback?: () => void): any;
+    callback(): (req: any, res: any) => void;
+  }
+
+  export = Koa;
+}
+
+declare module "@koa/router" {
+  import type { Middleware } from "koa";
+
+  type Route = {
+    (path: string | RegExp, ...middleware: Middleware[]): Router;
+    (name: string, path: string | RegExp, ...middleware: Middleware[]): Router;
+  };
+
+  class Router {
+    constructor(options?: { prefix?: string });
+    get: Route;
+    post: Route;
+    put: Route;
+    patch: Route;
+    delete: Route;
+    del: Route;
+    all: Route;
+    use(...middleware: Array<Middleware | string>): Router;
+    routes(): Middleware;
+    allowedMethods(options?: any): Middleware;
+  }
+
+  export = Router;
+}
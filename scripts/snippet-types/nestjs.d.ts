@@ -0,0 +1,161 @@
+// The parts of NestJS the docs use. Other @nestjs/* packages are untyped.
+
+declare module "@nestjs/common" {
+  type Decorator = ClassDecorator & MethodDecorator & PropertyDecorator;
+
+  export function Module(metadata?: {
+    imports?: any[];
+    controllers?: any[];
+    providers?: any[];
+    exports?: any[];
+  }): ClassDecorator;
+  export function Controller(prefix?: string): ClassDecorator;
+  export function Injectable(): ClassDecorator;
+  export function Catch(...exceptions: any[]): ClassDecorator;
+
+  export function Get(path?: string): MethodDecorator;
+  export function Post(path?: string): MethodDecorator;
+  export function Put(path?: string): MethodDecorator;
+  export function Patch(path?: string): MethodDecorator;
+  export function Delete(path?: string): MethodDecorator;
+  export function All(path?: string): MethodDecorator;
+  export function HttpCode(status: number): MethodDecorator;
+  export function Redirect(url?: string, status?: number): MethodDecorator;
+
+  export function UseGuards(...guards: any[]): Decorator;
+  export function UseInterceptors(...interceptors: any[]): Decorator;
+  export function UseFilters(...filters: any[]): Decorator;
+
+  export function Body(property?: string, ...pipes: any[]): ParameterDecorator;
+  export function Param(property?: string, ...pipes: any[]): ParameterDecorator;
+  export function Query(property?: string, ...pipes: any[]): ParameterDecorator;
+  export function Headers(name?: string): ParameterDecorator;
+  export function Req(): ParameterDecorator;
+  export function Res(options?: { passthrough?: boolean }): ParameterDecorator;
+  export function Next(): ParameterDecorator;
+  export function Session(): ParameterDecorator;
+  export function UploadedFile(...pipes: any[]): ParameterDecorator;
+
+  export interface NestMiddleware {
+    use(req: any, res: any, next: (error?: any) => void): any;
+  }
+
+  export interface MiddlewareConsumer {
+    apply(...middleware: any[]): {
+      exclude(...routes: any[]): any;
+      forRoutes(...routes: any[]): MiddlewareConsumer;
+    };
+  }
+
+  export interface NestModule {
+    configure(consumer: MiddlewareConsumer): void;
+  }
+
+  export interface ArgumentsHost {
+    switchToHttp(): {
+      getRequest<T = any>(): T;
+      getResponse<T = any>(): T;
+      getNext<T = any>(): T;
+    };
+  }
+
+  export interface ExecutionContext extends ArgumentsHost {
+    getClass(): any;
+    getHandler(): Function;
+  }
+
+  export interface CanActivate {
+    canActivate(context: ExecutionContext): boolean | Promise<boolean> | any;
+  }
+
+  export interface CallHandler<T = any> {
+    handle(): any;
+  }
+
+  export interface NestInterceptor {
+    intercept(context: ExecutionContext, next: CallHandler): any;
+  }
+
+  export interface ExceptionFilter<T = any> {
+    catch(exception: T, host: ArgumentsHost): any;
+  }
+
+  export interface INestApplication {
+    use(...handlers: any[]): this;
+    useGlobalFilters(...filters: ExceptionFilter[]): this;
+    useGlobalGuards(...guards: CanActivate[]): this;
+    useGlobalInterceptors(...interceptors: NestInterceptor[]): this;
+    useStaticAssets(path: string, options?: any): this;
+    setGlobalPrefix(prefix: string): this;
+    enableCors(options?: any): void;
+    listen(port: number | string): Promise<any>;
+  }
+
+  export enum HttpStatus {
+    OK = 200,
+    CREATED = 201,
+    NO_CONTENT = 204,
+    MOVED_PERMANENTLY = 301,
+    FOUND = 302,
+    SEE_OTHER = 303,
+    CONFLICT = 409,
+    BAD_REQUEST = 400,
+    UNAUTHORIZED = 401,
+    FORBIDDEN = 403,
+    NOT_FOUND = 404,
+    UNPROCESSABLE_ENTITY = 422,
+    TOO_MANY_REQUESTS = 429,
+    INTERNAL_SERVER_ERROR = 500,
+    SERVICE_UNAVAILABLE = 503,
+  }
+
+  export class HttpException extends Error {
+    constructor(response: string | Record<string, any>, status: number);
+    getStatus(): number;
+    getResponse(): string | object;
+  }
+  export class BadRequestException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+  export class UnauthorizedException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+  export class ForbiddenException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+  export class NotFoundException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+  export class UnprocessableEntityException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+  export class InternalServerErrorException extends HttpException {
+    constructor(response?: string | Record<string, any>);
+  }
+}
+
+declare module "@nestjs/core" {
+  import type { INestApplication } from "@nestjs/common";
+
+  export const NestFactory: {
+    create<T extends INestApplication = INestApplication>(
+      module: any,
+      options?: any
+    ): Promise<T>;
+  };
+}
+
+declare module "@nestjs/platform-express" {
+  import type { INestApplication } from "@nestjs/common";
+
+  export interface NestExpressApplication extends INestApplication {
+    set(setting: string, value: unknown): this;
+  }
+
+  export function FileInterceptor(fieldName: string, options?: any): any;
+  export function FilesInterceptor(
+    fieldName: string,
+    maxCount?: number,
+    options?: any
+  ): any;
+}